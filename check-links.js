@@ -0,0 +1,103 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const process = require('process');
+const { loadFile } = require('./lib/cli');
+const { applyConfig, envOptionAsArray } = require('./lib/config');
+const { parseFrontMatter, renderDocument } = require('./lib/md2html');
+const { checkLinks, getHtmlIds } = require('./lib/links');
+const { findInputs } = require('./lib/site');
+
+const defaultInputDir = './reports';
+
+const yargs = require('yargs')
+      .usage('Usage:\n$0 file1.md [... fileN.md]')
+      .option('check-mailto', {
+        alias: 'm',
+        describe: 'Check the syntax of mailto: links and e-mail addresses.',
+        default: !!process.env.CHECK_MAILTO,
+        type: 'boolean',
+      })
+      .option('recursive', {
+        alias: 'r',
+        describe: 'Also check the documents in the subdirectories of the given directories.',
+        default: !!process.env.RECURSIVE,
+        type: 'boolean',
+      })
+      .option('include', {
+        describe: 'Glob pattern of the documents to check in the given directories, relative to them (ie: **/*.md). May be given multiple times.',
+        type: 'array',
+      })
+      .option('exclude', {
+        describe: 'Glob pattern of the documents to skip in the given directories, relative to them (ie: drafts/**). May be given multiple times.',
+        type: 'array',
+      })
+      .alias({
+        h: 'help',
+      })
+      .help('help')
+      .version(false);
+
+let argv;
+try {
+  argv = applyConfig(yargs, 'check-links').argv;
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
+
+// The document is rendered to know the ids given to its headings,
+// figures and so on.
+function loadDocument(fname) {
+  const source = loadFile(fname);
+  const { body, firstLine } = parseFrontMatter(fname, source);
+  const { html } = renderDocument(source, {
+    fname,
+    loadFile,
+    diagrams: false,
+    reportError: () => {},
+  });
+  return { fname, source: body, firstLine, ids: getHtmlIds(html) };
+}
+
+let mds;
+try {
+  mds = findInputs(argv._.length === 0 ? [ defaultInputDir ] : argv._, {
+    recursive: argv.recursive,
+    include: argv.include || envOptionAsArray(process.env.INCLUDE),
+    exclude: argv.exclude || envOptionAsArray(process.env.EXCLUDE),
+  }).map(input => input.fname);
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
+
+const options = {
+  checkMailto: argv.checkMailto,
+};
+
+function main(mds, options) {
+  let exitStatus = 0;
+  const docs = [];
+  for (let i = 0; i < mds.length; i += 1) {
+    try {
+      docs.push(loadDocument(mds[i]));
+    } catch (exc) {
+      console.error(`ERROR: ${mds[i]}: ${exc.message}`);
+      exitStatus = 1;
+    }
+  }
+
+  const broken = checkLinks(docs, options);
+  for (let i = 0; i < docs.length; i += 1) {
+    const docBroken = broken.filter(b => b.fname === docs[i].fname);
+    docBroken.forEach(({ fname, line, href, message }) => {
+      console.log(`${fname}:${line}: broken link ${href}: ${message}`);
+    });
+    console.log(`${docs[i].fname} => ${docBroken.length > 0 ? `Failed: ${docBroken.length} broken links` : 'Ok!'}`);
+  }
+  return broken.length > 0 ? 1 : exitStatus;
+}
+
+process.exit(main(mds, options));
@@ -0,0 +1,34 @@
+const checkers = require('./lib/checkers');
+const diagrams = require('./lib/diagrams');
+const epub = require('./lib/epub');
+const md2html = require('./lib/md2html');
+const pdf = require('./lib/pdf');
+const plugins = require('./lib/plugins');
+const redline = require('./lib/redline');
+const reports = require('./lib/reports');
+const spellcheck = require('./lib/spellcheck');
+
+module.exports = {
+  renderMarkdown: md2html.renderMarkdown,
+  renderBook: md2html.renderBook,
+  renderDocument: md2html.renderDocument,
+  renderIndex: md2html.renderIndex,
+  renderEpub: md2html.renderEpub,
+  renderBookEpub: md2html.renderBookEpub,
+  zipEpub: epub.zipEpub,
+  checkEpub: epub.checkEpub,
+  renderRedline: redline.renderRedline,
+  parseFrontMatter: md2html.parseFrontMatter,
+  defaultDiagramRenderers: diagrams.defaultDiagramRenderers,
+  loadPlugin: plugins.loadPlugin,
+  renderPdf: pdf.renderPdf,
+  launchBrowser: pdf.launchBrowser,
+  spellCheckHtml: spellcheck.spellCheckHtml,
+  spellCheckDocument: spellcheck.spellCheckDocument,
+  genSpellcheckReport: reports.genSpellcheckReport,
+  createCheckers: spellcheck.createCheckers,
+  closeCheckers: spellcheck.closeCheckers,
+  createChecker: checkers.createChecker,
+  checkerBackends: checkers.checkerBackends,
+  Aspell: spellcheck.Aspell,
+};
@@ -0,0 +1,242 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+const defaultAssetsDir = 'assets';
+const defaultMaxAssetSize = 5 * 1024 * 1024;
+
+const mimeTypes = {
+  '.avif': 'image/avif',
+  '.bmp': 'image/bmp',
+  '.css': 'text/css',
+  '.eot': 'application/vnd.ms-fontobject',
+  '.gif': 'image/gif',
+  '.ico': 'image/x-icon',
+  '.jpeg': 'image/jpeg',
+  '.jpg': 'image/jpeg',
+  '.otf': 'font/otf',
+  '.png': 'image/png',
+  '.svg': 'image/svg+xml',
+  '.ttf': 'font/ttf',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+};
+
+const cssUrlRegExp = /url\(\s*(['"]?)([^'")]+)\1\s*\)/g;
+
+// Parses sizes such as 1024, 500k or 2M (bytes)
+function parseSize(str) {
+  const match = String(str).trim().match(/^(\d+(?:[.]\d+)?)\s*([kmg]?)i?b?$/i);
+  if (!match) {
+    throw new Error(`Invalid size: ${str}. Expected bytes, optionally followed by k, M or G.`);
+  }
+  const units = { '': 1, k: 1024, m: 1024 * 1024, g: 1024 * 1024 * 1024 };
+  return Math.round(parseFloat(match[1]) * units[match[2].toLowerCase()]);
+}
+
+function isLocalRef(ref) {
+  return ref && !ref.startsWith('#') && !ref.startsWith('//') && !/^[a-z][a-z0-9+.-]*:/i.test(ref);
+}
+
+function splitRef(ref) {
+  const match = ref.match(/^([^?#]*)(.*)$/);
+  return { file: match[1], suffix: match[2] };
+}
+
+/*
+ * Resolves local references (images, fonts...) relative to the
+ * directory of the file that uses them, either embedding them as data
+ * URIs (mode: 'embed') or giving a path inside assetsDir, in which case
+ * they are listed in copies (target => source) and must be copied next
+ * to the output (mode: 'copy').
+ *
+ * Problems are collected in errors, the reference is kept as-is.
+ */
+class AssetResolver {
+  constructor(options = {}) {
+    this.mode = options.mode || 'embed';
+    this.maxSize = options.maxSize === undefined ? defaultMaxAssetSize : options.maxSize;
+    this.assetsDir = options.assetsDir || defaultAssetsDir;
+    this.errors = [];
+    this.copies = {};
+    this.sprites = {};
+    // local files referenced, even missing ones
+    this.files = [];
+  }
+
+  load(ref, baseDir, context) {
+    const { file, suffix } = splitRef(ref);
+    const fname = path.resolve(baseDir, decodeURI(file));
+    if (this.files.indexOf(fname) === -1) {
+      this.files.push(fname);
+    }
+    let st;
+    try {
+      st = fs.statSync(fname);
+    } catch (exc) {
+      this.errors.push(`${context}: missing asset ${ref} (${fname})`);
+      return null;
+    }
+    if (st.size > this.maxSize) {
+      this.errors.push(`${context}: asset ${ref} is too big: ${st.size} bytes (max: ${this.maxSize})`);
+      return null;
+    }
+    return { fname, suffix, contents: fs.readFileSync(fname) };
+  }
+
+  copy(asset) {
+    const hash = crypto.createHash('sha1').update(asset.contents).digest('hex').slice(0, 8);
+    const target = `${this.assetsDir}/${hash}-${path.basename(asset.fname)}`;
+    this.copies[target] = asset.fname;
+    return target + asset.suffix;
+  }
+
+  resolve(ref, baseDir, context) {
+    if (!isLocalRef(ref)) {
+      return ref;
+    }
+    const asset = this.load(ref, baseDir, context);
+    if (!asset) {
+      return ref;
+    }
+    if (this.mode === 'copy') {
+      return this.copy(asset);
+    }
+
+    const mime = mimeTypes[path.extname(asset.fname).toLowerCase()];
+    if (!mime) {
+      this.errors.push(`${context}: unknown MIME type of asset ${ref}`);
+      return ref;
+    }
+    return `data:${mime};base64,${asset.contents.toString('base64')}`;
+  }
+
+  // <use href="file.svg#id"> can't point to data URIs, the SVG is
+  // included in the document (see spritesHtml()) and referenced by id.
+  resolveSvgUse(ref, baseDir, context) {
+    if (this.mode === 'copy' || !isLocalRef(ref)) {
+      return this.resolve(ref, baseDir, context);
+    }
+    const { suffix } = splitRef(ref);
+    if (!suffix.startsWith('#')) {
+      this.errors.push(`${context}: SVG reference ${ref} must point to an element (file.svg#id)`);
+      return ref;
+    }
+    const asset = this.load(ref, baseDir, context);
+    if (!asset) {
+      return ref;
+    }
+    this.sprites[asset.fname] = asset.contents.toString('utf8');
+    return suffix;
+  }
+
+  spritesHtml() {
+    const fnames = Object.keys(this.sprites);
+    if (fnames.length === 0) {
+      return '';
+    }
+    return [
+      '<div class="embedded-svg" style="display: none">',
+      ...fnames.map(fname => this.sprites[fname]
+                    .replace(/<\?xml[^>]*\?>/, '')
+                    .replace(/<!DOCTYPE[^>]*>/i, '')
+                    .trim()),
+      '</div>',
+    ].join('\n');
+  }
+
+  check() {
+    if (this.errors.length > 0) {
+      throw new Error(`failed to resolve assets:\n${this.errors.join('\n')}`);
+    }
+  }
+}
+
+const assetPlaceholderRegExp = /md2html-asset:(\d+)/g;
+
+/*
+ * Stands for the AssetResolver while a document is rendered once for
+ * several outputs: local references are replaced by placeholders, which
+ * apply() resolves with the resolver of each output.
+ */
+class AssetReferences {
+  constructor() {
+    this.refs = [];
+  }
+
+  add(method, ref, baseDir, context) {
+    if (!isLocalRef(ref)) {
+      return ref;
+    }
+    this.refs.push({ method, ref, baseDir, context });
+    return `md2html-asset:${this.refs.length - 1}`;
+  }
+
+  resolve(ref, baseDir, context) {
+    return this.add('resolve', ref, baseDir, context);
+  }
+
+  resolveSvgUse(ref, baseDir, context) {
+    return this.add('resolveSvgUse', ref, baseDir, context);
+  }
+
+  // Without resolver the references are restored as they were.
+  apply(text, resolver) {
+    return text.replace(assetPlaceholderRegExp, (match, index) => {
+      const entry = this.refs[index];
+      if (!entry) {
+        return match;
+      }
+      return resolver ? resolver[entry.method](entry.ref, entry.baseDir, entry.context) : entry.ref;
+    });
+  }
+}
+
+function rewriteCssAssets(css, baseDir, resolver, context) {
+  return css.replace(cssUrlRegExp, (match, quote, ref) => {
+    const resolved = resolver.resolve(ref.trim(), baseDir, context);
+    return `url(${quote}${resolved}${quote})`;
+  });
+}
+
+const quotedValue = `(?:"([^"]*)"|'([^']*)')`;
+
+function rewriteAttribute(tag, attrs, rewrite) {
+  return tag.replace(new RegExp(`(\\s(?:${attrs})\\s*=\\s*)${quotedValue}`, 'gi'),
+                     (match, before, dq, sq) => {
+                       const quote = dq !== undefined ? '"' : '\'';
+                       return `${before}${quote}${rewrite(dq !== undefined ? dq : sq)}${quote}`;
+                     });
+}
+
+/*
+ * Rewrites <img src>, SVG <use> and <image> references and url() used
+ * by style attributes and <style> elements.
+ */
+function rewriteHtmlAssets(html, baseDir, resolver, context) {
+  return html
+    .replace(/<img\b[^>]*>/gi,
+             tag => rewriteAttribute(tag, 'src', ref => resolver.resolve(ref, baseDir, context)))
+    .replace(/<image\b[^>]*>/gi,
+             tag => rewriteAttribute(tag, 'xlink:href|href', ref => resolver.resolve(ref, baseDir, context)))
+    .replace(/<link\b[^>]*\srel="(?:shortcut )?(?:icon|apple-touch-icon)"[^>]*>/gi,
+             tag => rewriteAttribute(tag, 'href', ref => resolver.resolve(ref, baseDir, context)))
+    .replace(/<use\b[^>]*>/gi,
+             tag => rewriteAttribute(tag, 'xlink:href|href', ref => resolver.resolveSvgUse(ref, baseDir, context)))
+    .replace(/(<style\b[^>]*>)([\s\S]*?)(<\/style>)/gi,
+             (match, open, css, close) => open + rewriteCssAssets(css, baseDir, resolver, context) + close)
+    .replace(/<[a-z][^>]*\sstyle\s*=[^>]*>/gi,
+             tag => rewriteAttribute(tag, 'style', css => rewriteCssAssets(css, baseDir, resolver, context)));
+}
+
+module.exports = {
+  AssetReferences,
+  AssetResolver,
+  defaultAssetsDir,
+  defaultMaxAssetSize,
+  mimeTypes,
+  parseSize,
+  rewriteCssAssets,
+  rewriteHtmlAssets,
+};
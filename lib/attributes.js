@@ -0,0 +1,47 @@
+// Pandoc-like attributes: {#id .class key=value key="quoted value"}
+const attributeRegExp = /\s*(?:#([^\s"'{}#.]+)|\.([^\s"'{}#.=]+)|([A-Za-z_][\w:.-]*)=(?:"([^"]*)"|'([^']*)'|([^\s"'{}]+)))/g;
+const trailingAttributesRegExp = /\s*\{([^{}]*)\}\s*$/;
+
+/*
+ * Returns { id, classes, attrs } or null if str isn't a list of
+ * attributes (ie: plain text between braces).
+ */
+function parseAttributes(str) {
+  const ret = { id: null, classes: [], attrs: {} };
+  let consumed = 0;
+  let match;
+  attributeRegExp.lastIndex = 0;
+  while ((match = attributeRegExp.exec(str)) !== null) {
+    if (match.index !== consumed) {
+      return null;
+    }
+    consumed = attributeRegExp.lastIndex;
+    if (match[1]) {
+      ret.id = match[1];
+    } else if (match[2]) {
+      ret.classes.push(match[2]);
+    } else {
+      const value = [ match[4], match[5], match[6] ].find(v => v !== undefined);
+      ret.attrs[match[3]] = value;
+    }
+  }
+  if (str.slice(consumed).trim() || consumed === 0) {
+    return null;
+  }
+  return ret;
+}
+
+// Splits "text {#id .class}" into the text and its attributes, if any.
+function splitTrailingAttributes(text) {
+  const match = text.match(trailingAttributesRegExp);
+  const attributes = match && parseAttributes(match[1]);
+  if (!attributes) {
+    return { text, attributes: null };
+  }
+  return { text: text.slice(0, match.index), attributes };
+}
+
+module.exports = {
+  parseAttributes,
+  splitTrailingAttributes,
+};
@@ -0,0 +1,144 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const { parentPort, Worker } = require('worker_threads');
+
+// Kept in the output directory, records what each output was built from
+const buildManifestName = '.md2html-build.json';
+const buildManifestVersion = 2;
+
+function hashContents(...contents) {
+  const hash = crypto.createHash('sha256');
+  contents.forEach((c) => {
+    hash.update(c === undefined || c === null ? '' : String(c));
+    hash.update('\0');
+  });
+  return hash.digest('hex');
+}
+
+// Missing files are hashed as null, so they are rebuilt once created.
+function hashFiles(fnames) {
+  const hashes = {};
+  fnames.forEach((fname) => {
+    hashes[fname] = fs.existsSync(fname) ? hashContents(fs.readFileSync(fname)) : null;
+  });
+  return hashes;
+}
+
+function emptyBuildManifest() {
+  return { version: buildManifestVersion, outputs: {} };
+}
+
+function loadBuildManifest(outputDir) {
+  const fname = path.join(outputDir, buildManifestName);
+  if (!fs.existsSync(fname)) {
+    return emptyBuildManifest();
+  }
+  try {
+    const manifest = JSON.parse(fs.readFileSync(fname, { encoding: 'utf8' }));
+    return manifest.version === buildManifestVersion ? manifest : emptyBuildManifest();
+  } catch (exc) {
+    // corrupted, everything is rebuilt
+    return emptyBuildManifest();
+  }
+}
+
+function saveBuildManifest(outputDir, manifest) {
+  fs.writeFileSync(path.join(outputDir, buildManifestName), JSON.stringify(manifest, null, 2), { encoding: 'utf8' });
+}
+
+/*
+ * Whether the outputs were built from the same hashes and still exist.
+ * entry.files are the hashes of the files found while building (see
+ * hashFiles()), such as the embedded or copied assets, they must not
+ * have changed either.
+ */
+function isUpToDate(entry, hashes) {
+  const files = entry ? entry.files || {} : {};
+  return !!entry &&
+    JSON.stringify(entry.hashes) === JSON.stringify(hashes) &&
+    JSON.stringify(hashFiles(Object.keys(files))) === JSON.stringify(files) &&
+    entry.outputs.every(fname => fs.existsSync(fname));
+}
+
+/*
+ * Runs the tasks (serializable values) in up to options.jobs worker
+ * threads executing the script with args as process.argv, the script
+ * must call handleWorkerTasks(). Returns the results in the tasks order,
+ * tasks not started due to options.failFast are undefined. A result is
+ * failed if it has an error property.
+ */
+function runInWorkers(script, args, tasks, options = {}) {
+  const results = new Array(tasks.length);
+  let next = 0;
+  let failed = false;
+
+  const runWorker = () => new Promise((resolve) => {
+    const worker = new Worker(script, { argv: args });
+    let current = null;
+    let done = false;
+    const finish = () => {
+      if (!done) {
+        done = true;
+        worker.terminate().then(() => resolve(), () => resolve());
+      }
+    };
+    const dispatch = () => {
+      if (next >= tasks.length || (failed && options.failFast)) {
+        current = null;
+        finish();
+        return;
+      }
+      current = next;
+      next += 1;
+      worker.postMessage({ id: current, task: tasks[current] });
+    };
+    worker.on('message', ({ id, result }) => {
+      results[id] = result;
+      failed = failed || !!result.error;
+      dispatch();
+    });
+    const fail = (message) => {
+      if (current !== null && !done) {
+        results[current] = { error: message };
+        failed = true;
+      }
+      done = true;
+      resolve();
+    };
+    worker.on('error', exc => fail(`worker failed: ${exc.message}`));
+    worker.on('exit', code => fail(`worker exited with ${code}`));
+    dispatch();
+  });
+
+  const jobs = Math.max(1, Math.min(options.jobs || 1, tasks.length));
+  const workers = [];
+  for (let i = 0; i < jobs; i += 1) {
+    workers.push(runWorker());
+  }
+  return Promise.all(workers).then(() => results);
+}
+
+// To be called by worker threads, run(task) returns the result.
+function handleWorkerTasks(run) {
+  parentPort.on('message', ({ id, task }) => {
+    let result;
+    try {
+      result = run(task);
+    } catch (exc) {
+      result = { error: exc.message };
+    }
+    parentPort.postMessage({ id, result });
+  });
+}
+
+module.exports = {
+  buildManifestName,
+  handleWorkerTasks,
+  hashContents,
+  hashFiles,
+  isUpToDate,
+  loadBuildManifest,
+  runInWorkers,
+  saveBuildManifest,
+};
@@ -0,0 +1,382 @@
+const path = require('path');
+const { spawn, spawnSync } = require('child_process');
+const EventEmitter = require('events').EventEmitter;
+const XRegExp = require('xregexp/xregexp-all');
+
+/*
+ * Spellcheck backends: a checker is created per language (see
+ * createChecker()) and provides
+ *  - check(word): resolves to { success, alternatives };
+ *  - suggest(word): resolves to the alternatives;
+ *  - addWords(words): known words for the rest of the session;
+ *  - end(): releases it;
+ *  - failure: the error once it can't check anymore.
+ * Each backend class tells the languages it has dictionaries for with
+ * getLanguages(), null if unknown.
+ */
+const defaultBackend = 'aspell';
+const defaultAspellOption = [ '--encoding=utf-8', '--guess', '--run-together' ];
+const maxSuggestions = 10;
+const maxSuggestionDistance = 2;
+
+/*
+ * Runs aspell -a, the Ispell pipe protocol: words are written to its
+ * standard input and 'result' is emitted for each one, in order, with
+ * { type, word, info, alternatives }. Hunspell speaks it as well.
+ */
+class Aspell extends EventEmitter {
+  constructor(lang, args) {
+    super();
+    this.queue = [];
+    this.proc = spawn(this.constructor.command, this.constructor.getCommandArgs(lang, args || []))
+      .on('error', (err) => {
+        this.emit('error', {
+          category: 'spawn',
+          message: err.toString(),
+        });
+      });
+
+    this.proc.stderr
+      .on('data', (data) => {
+        this.emit('error', {
+          category: 'stderr',
+          message: data.toString(),
+        });
+      })
+      .on('error', (err) => {
+        this.emit('error', {
+          category: 'stderr',
+          message: err.toString(),
+        });
+      });
+
+    this.proc.stdin
+      .on('error', (err) => {
+        this.emit('error', {
+          category: 'stdin',
+          message: err.toString(),
+        });
+      });
+
+    this.buffer = '';
+    this.proc.stdout
+      .on('data', (chunk) => {
+        const lines = (this.buffer + chunk).split(/\r?\n/);
+        this.buffer = lines.pop();
+        for (let i = 0; i < lines.length; i += 1) {
+          const result = this.parseLine(lines[i]);
+          if (result) {
+            this.emit('result', result);
+          }
+        }
+      })
+      .on('end', function() {
+        this.emit('finished');
+      });
+  }
+
+  checkWord(word, info) {
+    if (!Aspell.isWord(word)) {
+      throw new Error('aspell should get only words (only letters)!');
+    }
+    this.queue.push({ word, info });
+    this.proc.stdin.write(word + '\n');
+  }
+
+  // Known for the rest of the session (*word command).
+  addWord(word) {
+    this.proc.stdin.write(`*${word}\n`);
+  }
+
+  end() {
+    this.proc.stdin.end();
+  }
+
+  parseLine(line) {
+    if (line.length <= 0) {
+      return { type: 'line-break' }
+    }
+
+    const c = line[0];
+    if (c === '@') {
+      return { type: 'comment' }
+    }
+
+    const q = this.queue.splice(0, 1)[0];
+    const result = {
+      type: Aspell.aspellToEventMap[c] || c,
+      word: q.word,
+      info: q.info,
+      alternatives: [],
+    }
+
+    if (c === '&' || c === '#') {
+      const parts = line.split(/:?,?\s/g);
+      const word = parts[1];
+      if (!q.word.startsWith(word)) {
+        throw new Error('expected word: ' + q.word + ', got: ' + word);
+      }
+      result.position = parseInt(c === '#' ? parts[2] : parts[3]);
+      result.alternatives = parts.slice(4);
+    }
+
+    return result;
+  }
+
+  static getCommandArgs(lang, args) {
+    return [ '-a', `--lang=${lang}` ].concat(args);
+  }
+
+  static isWord(str) {
+    return str.match(Aspell.isWordRegExp);
+  }
+
+  static splitWordsAndSpaces(str) {
+    return str.split(Aspell.splitWordsAndSpacesRegExp).filter(p => !!p);
+  }
+}
+
+Aspell.command = 'aspell';
+Aspell.wordRegExp = '\\pL';
+Aspell.isWordRegExp = XRegExp(`^[${Aspell.wordRegExp}]+$`);
+Aspell.splitWordsAndSpacesRegExp = XRegExp(`([${Aspell.wordRegExp}]+|[^${Aspell.wordRegExp}]+)`);
+Aspell.aspellToEventMap = {
+  '*': 'ok',
+  '+': 'ok', /* guessed/inferred */
+  '-': 'run-together',
+  '&': 'misspelling', /* with suggestions */
+  '#': 'misspelling', /* no suggestions */
+  '?': 'misspelling',
+};
+
+
+// Hunspell in Ispell pipe mode, lang is the dictionary name (ie: en_US).
+class Hunspell extends Aspell {
+  static getCommandArgs(lang, args) {
+    return [ '-a', '-i', 'UTF-8', '-d', lang ].concat(args);
+  }
+}
+
+Hunspell.command = 'hunspell';
+
+/*
+ * A checker over an Ispell pipe, words are answered in the order they
+ * are given. If the process fails all pending words are rejected.
+ */
+class PipeChecker {
+  constructor(pipe, verbose = 0) {
+    const name = pipe.constructor.command;
+    this.pipe = pipe;
+    this.failure = null;
+    pipe
+      .on('result', (result) => {
+        const { info, alternatives } = result;
+        switch (result.type) {
+          case 'ok':
+            info.resolve({ success: true, alternatives: [] });
+            break;
+          case 'misspelling':
+          case 'run-together':
+            info.resolve({ success: false, alternatives });
+            break;
+          case 'line-break':
+          case 'comment':
+            if (verbose > 2) {
+              console.error(`ignored ${name} result:`, result);
+            }
+            break;
+          default:
+            console.error(`unexpected result type ${result.type}`, result);
+        }
+      })
+      .on('error', (error) => {
+        const exc = new Error(`Failed to run ${name} (${error.category}): ${error.message}`);
+        exc.category = error.category;
+        this.failure = this.failure || exc;
+        const pending = pipe.queue.splice(0, pipe.queue.length);
+        for (let i = 0; i < pending.length; i += 1) {
+          pending[i].info.reject(this.failure);
+        }
+      });
+  }
+
+  check(word) {
+    if (this.failure) {
+      return Promise.reject(this.failure);
+    }
+    return new Promise((resolve, reject) => {
+      this.pipe.checkWord(word, { resolve, reject });
+    });
+  }
+
+  suggest(word) {
+    return this.check(word).then(result => result.alternatives);
+  }
+
+  addWords(words) {
+    words.forEach(word => this.pipe.addWord(word));
+  }
+
+  end() {
+    this.pipe.end();
+  }
+}
+
+// Lists the languages of a tool, once: null if it fails to tell them.
+function listLanguages(backend, command, args, parse) {
+  if (backend.languages === undefined) {
+    const result = spawnSync(command, args, { input: '', encoding: 'utf8' });
+    if (result.error) {
+      throw new Error(`${command} is not available (${result.error.code || result.error.message}), install it or choose another --backend`);
+    }
+    backend.languages = parse(result);
+  }
+  return backend.languages;
+}
+
+// options.personalDict is the .pws for the language, if any.
+class AspellChecker extends PipeChecker {
+  constructor(lang, options = {}) {
+    const args = options.aspellOption || defaultAspellOption;
+    const pws = options.personalDict;
+    super(new Aspell(lang, pws ? args.concat([ `--personal=${path.resolve(pws)}` ]) : args), options.verbose);
+  }
+
+  static getLanguages() {
+    return listLanguages(AspellChecker, 'aspell', [ 'dump', 'dicts' ], ({ status, stdout }) => (
+      status === 0 ? stdout.split(/\r?\n/).filter(line => !!line) : null
+    ));
+  }
+}
+
+// options.personalDict is a word list for hunspell -p, if any.
+class HunspellChecker extends PipeChecker {
+  constructor(lang, options = {}) {
+    const pws = options.personalDict;
+    super(new Hunspell(lang, pws ? [ '-p', path.resolve(pws) ] : []), options.verbose);
+  }
+
+  // hunspell -D lists the paths of the dictionaries it finds
+  static getLanguages() {
+    return listLanguages(HunspellChecker, 'hunspell', [ '-D', '-a' ], ({ stdout, stderr }) => {
+      const lines = `${stderr}\n${stdout}`.split(/\r?\n/);
+      const start = lines.findIndex(line => /^AVAILABLE DICTIONARIES/.test(line));
+      if (start === -1) {
+        return null;
+      }
+      const languages = [];
+      for (let i = start + 1; i < lines.length && /^\//.test(lines[i]); i += 1) {
+        languages.push(path.basename(lines[i]));
+      }
+      return languages;
+    });
+  }
+}
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (v, j) => j);
+  for (let i = 1; i <= a.length; i += 1) {
+    const current = [ i ];
+    for (let j = 1; j <= b.length; j += 1) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current.push(Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost));
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/*
+ * In-memory checker for tests and small vocabularies: options.words are
+ * the known words, also capitalized or in upper case when given in lower
+ * case. Suggestions are the closest words.
+ */
+class WordlistChecker {
+  constructor(lang, options = {}) {
+    if (!options.words) {
+      throw new Error(`no wordlist dictionary for ${lang}, give its words (ie: --wordlist ${lang}=words.txt)`);
+    }
+    this.words = new Set(options.words);
+    this.failure = null;
+  }
+
+  isKnown(word) {
+    return this.words.has(word) || this.words.has(word.toLowerCase());
+  }
+
+  check(word) {
+    if (this.isKnown(word)) {
+      return Promise.resolve({ success: true, alternatives: [] });
+    }
+    return this.suggest(word).then(alternatives => ({ success: false, alternatives }));
+  }
+
+  suggest(word) {
+    const lower = word.toLowerCase();
+    const candidates = [];
+    this.words.forEach((known) => {
+      const distance = editDistance(lower, known.toLowerCase());
+      if (distance <= maxSuggestionDistance) {
+        candidates.push({ known, distance });
+      }
+    });
+    candidates.sort((a, b) => (a.distance - b.distance) || a.known.localeCompare(b.known));
+    return Promise.resolve(candidates.slice(0, maxSuggestions).map(c => c.known));
+  }
+
+  addWords(words) {
+    words.forEach(word => this.words.add(word));
+  }
+
+  end() {
+  }
+
+  static getLanguages() {
+    return null;
+  }
+}
+
+const checkerBackends = {
+  aspell: AspellChecker,
+  hunspell: HunspellChecker,
+  wordlist: WordlistChecker,
+};
+
+// The backend name of the language in options.backend ({ lang: name },
+// '*' for all the others).
+function getBackend(options, lang) {
+  const backend = options.backend || {};
+  return backend[lang] || backend['*'] || defaultBackend;
+}
+
+/*
+ * Creates the checker of the language with the given backend, options
+ * are given to its constructor. Throws if the backend is unknown, not
+ * installed or doesn't have a dictionary for the language, so it fails
+ * before checking instead of on the first word.
+ */
+function createChecker(backend, lang, options = {}) {
+  const Checker = checkerBackends[backend];
+  if (!Checker) {
+    throw new Error(`unknown spellcheck backend: ${backend}, expected one of: ${Object.keys(checkerBackends).join(', ')}`);
+  }
+  const languages = Checker.getLanguages();
+  if (languages && languages.indexOf(lang) === -1) {
+    throw new Error(`no ${backend} dictionary for ${lang}, available: ${languages.join(', ') || 'none'}`);
+  }
+  return new Checker(lang, options);
+}
+
+module.exports = {
+  Aspell,
+  AspellChecker,
+  Hunspell,
+  HunspellChecker,
+  PipeChecker,
+  WordlistChecker,
+  checkerBackends,
+  createChecker,
+  defaultAspellOption,
+  defaultBackend,
+  getBackend,
+};
@@ -0,0 +1,354 @@
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const mkdirp = require('mkdirp');
+const { arrayToMap, envOptionAsArray } = require('./config');
+const { AssetResolver, defaultAssetsDir, parseSize, rewriteCssAssets } = require('./assets');
+const { defaultAdmonitions, footnotePlacements } = require('./dialect');
+const { glossaryModes, parseGlossary } = require('./glossary');
+const { defaultHighlightTheme, hljsThemes } = require('./md2html');
+const { mathOutputs } = require('./math');
+const { loadPlugins } = require('./plugins');
+
+/*
+ * Command line helpers of the tools: file I/O and the rendering options
+ * shared by md2html.js and md-diff.js, as yargs options (renderOptions)
+ * and as the options of renderMarkdown() (loadRenderOptions()).
+ */
+const defaultDiagramCacheDir = path.join(os.tmpdir(), 'md2html-diagrams');
+
+const renderOptions = {
+  title: {
+    alias: 't',
+    describe: 'Document Title to use, otherwise based on filename. Exposed to Mustache template.',
+    default: process.env.TITLE,
+  },
+  author: {
+    alias: 'a',
+    describe: 'Document Author to use, otherwise empty. Exposed to Mustache template.',
+    default: process.env.AUTHOR,
+  },
+  date: {
+    alias: 'd',
+    describe: 'Document Date to use (passed as-is), otherwise empty. Exposed to Mustache template.',
+    default: process.env.DATE,
+  },
+  var: {
+    alias: 'v',
+    describe: 'Extra variables to use in replacements (key=value). These are exposed to Mustache template.',
+    array: true,
+  },
+  css: {
+    alias: 'c',
+    describe: 'CSS files to include (inline).',
+    array: true,
+  },
+  js: {
+    alias: 'j',
+    describe: 'JavaScript files to include (inline).',
+    array: true,
+  },
+  'front-page': {
+    alias: 'f',
+    describe: 'Front Page to file include (inline, HTML with Mustache templates).',
+    default: process.env.FRONT_PAGE,
+  },
+  'back-page': {
+    alias: 'b',
+    describe: 'Back (last) Page to file include (inline, HTML with Mustache templates).',
+    default: process.env.BACK_PAGE,
+  },
+  layout: {
+    alias: 'L',
+    describe: 'Layout of the whole HTML document (Mustache template), see lib/layouts/default.html.',
+    default: process.env.LAYOUT,
+  },
+  'templates-dir': {
+    describe: 'Directory with Mustache partials ({{> name}} for name.html) used by the layout and pages.',
+    default: process.env.TEMPLATES_DIR,
+  },
+  plugin: {
+    describe: 'Plugin module (path or package name) to extend the rendering, see lib/plugins.js. May be given multiple times, in the order they run.',
+    array: true,
+  },
+  toc: {
+    alias: 'T',
+    describe: 'Generate Table of Contents. May contain a string to state section text.',
+    default: process.env.TOC,
+  },
+  'toc-min-depth': {
+    describe: 'First heading level listed in the Table of Contents.',
+    default: process.env.TOC_MIN_DEPTH,
+  },
+  'toc-max-depth': {
+    describe: 'Last heading level listed in the Table of Contents.',
+    default: process.env.TOC_MAX_DEPTH,
+  },
+  'chapter-toc': {
+    describe: 'List the sections of each chapter (h1) after its heading.',
+    default: !!process.env.CHAPTER_TOC,
+    type: 'boolean',
+  },
+  'number-sections': {
+    alias: 'N',
+    describe: 'Number the headings (ie: 2.1.3), except those with the .unnumbered class.',
+    default: !!process.env.NUMBER_SECTIONS,
+    type: 'boolean',
+  },
+  'source-lines': {
+    describe: 'Keep the Markdown file and line of each block as data-source attributes, used by spellcheck-html.js reports.',
+    default: !!process.env.SOURCE_LINES,
+    type: 'boolean',
+  },
+  footnotes: {
+    describe: 'Place the footnotes at the end of the document, of each chapter or, for print styles using float: footnote, at the reference (page).',
+    default: process.env.FOOTNOTES || 'document',
+    choices: footnotePlacements,
+  },
+  admonition: {
+    describe: 'Title of an admonition type (ie: risk=Project Risk), new types may be added. Default types: ' +
+      `${Object.keys(defaultAdmonitions).join(', ')}.`,
+    array: true,
+  },
+  'admonition-class': {
+    describe: 'CSS class of an admonition type, instead of admonition-TYPE (ie: risk=callout-red).',
+    array: true,
+  },
+  'admonition-icon': {
+    describe: 'Icon (text or emoji) shown before the title of an admonition type (ie: warning=⚠).',
+    array: true,
+  },
+  math: {
+    describe: 'Render TeX math ($...$, $$...$$ and math code blocks) as HTML and MathML, MathML only or leave it as text (none).',
+    default: process.env.MATH || 'html',
+    choices: mathOutputs,
+  },
+  glossary: {
+    describe: 'Glossary file (YAML list of term, expansion, definition and lang), terms are annotated with their expansion.',
+    default: process.env.GLOSSARY,
+  },
+  'glossary-mode': {
+    describe: 'Annotate the first use of each glossary term in the document or all of them.',
+    default: process.env.GLOSSARY_MODE || 'first',
+    choices: glossaryModes,
+  },
+  'glossary-section': {
+    describe: 'Generate a Glossary with the terms used, after the Table of Contents. May contain a string to state section text.',
+    default: process.env.GLOSSARY_SECTION,
+  },
+  lof: {
+    describe: 'Generate List of Figures (labeled with {#fig:label}). May contain a string to state section text.',
+    default: process.env.LOF,
+  },
+  lot: {
+    describe: 'Generate List of Tables (labeled with {#tbl:label}). May contain a string to state section text.',
+    default: process.env.LOT,
+  },
+  'xref-numbering': {
+    describe: 'Number figures, tables and listings per chapter (ie: Figure 2.1) or sequentially in the document.',
+    default: process.env.XREF_NUMBERING || 'chapter',
+    choices: [ 'chapter', 'document' ],
+  },
+  'xref-name': {
+    describe: 'Name to use in captions and references for a label kind (ie: fig=Fig.). Kinds: fig, tbl, lst, sec.',
+    array: true,
+  },
+  'highlight-theme': {
+    alias: 'H',
+    describe: 'Highlight.js theme name (CSS file name).',
+    default: process.env.HIGHLIGHT_THEME || defaultHighlightTheme,
+    choices: hljsThemes,
+  },
+  diagrams: {
+    describe: 'Render dot, plantuml and mermaid code blocks as SVG diagrams. Use --no-diagrams to highlight them.',
+    default: !process.env.NO_DIAGRAMS,
+    type: 'boolean',
+  },
+  'diagram-cache': {
+    describe: 'Directory to cache the rendered diagrams.',
+    default: process.env.DIAGRAM_CACHE || defaultDiagramCacheDir,
+  },
+  'embed-assets': {
+    alias: 'E',
+    describe: 'Embed images, fonts and SVG used by the documents, CSS and pages as data URIs.',
+    default: !!process.env.EMBED_ASSETS,
+    type: 'boolean',
+  },
+  'copy-assets': {
+    alias: 'C',
+    describe: `Copy images, fonts and SVG used by the documents, CSS and pages to a directory next to the output. May contain the directory name (default: ${defaultAssetsDir}).`,
+    default: process.env.COPY_ASSETS,
+  },
+  'max-asset-size': {
+    describe: 'Maximum size of each embedded or copied asset (ie: 500k, 2M).',
+    default: process.env.MAX_ASSET_SIZE || '5M',
+  },
+};
+
+// Adds renderOptions to the yargs instance, describes (name: text)
+// replaces the description of those the tool uses differently.
+function addRenderOptions(yargs, describes = {}) {
+  return Object.keys(renderOptions).reduce((ret, name) => ret.option(name, {
+    ...renderOptions[name],
+    ...(describes[name] ? { describe: describes[name] } : {}),
+  }), yargs);
+}
+
+function saveFile(fname, contents) {
+  mkdirp.sync(path.dirname(fname));
+  return fs.writeFileSync(fname, contents, { encoding: 'utf8' });
+}
+
+function loadFile(fname) {
+  if (!fname) {
+    return '';
+  }
+  return fs.readFileSync(fname, { encoding: 'utf8' });
+}
+
+function loadFiles(array) {
+  return array.map(fname => loadFile(fname)).join('\n');
+}
+
+function listPartials(dirname) {
+  if (!dirname) {
+    return [];
+  }
+  return fs.readdirSync(dirname, { encoding: 'utf8' })
+    .filter(fname => /[.](html|mustache)$/.test(fname))
+    .map(fname => path.join(dirname, fname));
+}
+
+// Partials are named after the file, without extension.
+function loadPartials(dirname) {
+  const partials = {};
+  listPartials(dirname).forEach((fname) => {
+    partials[path.basename(fname).replace(/[.][^.]*$/, '')] = loadFile(fname);
+  });
+  return partials;
+}
+
+// { assetsMode, assetsDir, maxAssetSize } given by --embed-assets,
+// --copy-assets and --max-asset-size.
+function getAssetsOptions(argv) {
+  if (argv.embedAssets && argv.copyAssets) {
+    throw new Error('--embed-assets and --copy-assets are mutually exclusive');
+  }
+  return {
+    assetsMode: argv.embedAssets ? 'embed' : (argv.copyAssets ? 'copy' : null),
+    assetsDir: typeof argv.copyAssets === 'string' ? argv.copyAssets : defaultAssetsDir,
+    maxAssetSize: parseSize(argv.maxAssetSize),
+  };
+}
+
+function createAssetResolver(options) {
+  if (!options.assetsMode) {
+    return null;
+  }
+  return new AssetResolver({
+    mode: options.assetsMode,
+    maxSize: options.maxAssetSize,
+    assetsDir: options.assetsDir,
+  });
+}
+
+// CSS url() are relative to the CSS file, these are resolved once for all
+// documents.
+function loadCssFiles(array, assets) {
+  if (!assets) {
+    return loadFiles(array);
+  }
+  const css = array.map(fname => rewriteCssAssets(loadFile(fname), path.dirname(fname), assets, fname)).join('\n');
+  assets.check();
+  return css;
+}
+
+// Copies the assets of the output and the ones of the CSS (cssAssets)
+// next to it.
+function copyAssets(outFile, assets, cssAssets) {
+  if (!assets) {
+    return;
+  }
+  const copies = { ...(cssAssets ? cssAssets.copies : {}), ...assets.copies };
+  for (const target in copies) {
+    if (copies.hasOwnProperty(target)) {
+      const fname = path.join(path.dirname(outFile), target);
+      mkdirp.sync(path.dirname(fname));
+      fs.copyFileSync(copies[target], fname);
+    }
+  }
+}
+
+// Admonition types given by the command line, see dialect.js
+function getAdmonitions(argv) {
+  const fields = {
+    title: arrayToMap(argv.admonition || envOptionAsArray(process.env.ADMONITION)),
+    className: arrayToMap(argv.admonitionClass || envOptionAsArray(process.env.ADMONITION_CLASS)),
+    icon: arrayToMap(argv.admonitionIcon || envOptionAsArray(process.env.ADMONITION_ICON)),
+  };
+  const admonitions = {};
+  Object.keys(fields).forEach((field) => {
+    Object.keys(fields[field]).forEach((type) => {
+      admonitions[type] = { ...admonitions[type], [field]: fields[field][type] };
+    });
+  });
+  return admonitions;
+}
+
+/*
+ * Options of renderMarkdown() given by renderOptions, except the CSS and
+ * the assets: they depend on how the tool writes its outputs, see
+ * loadCssFiles() and getAssetsOptions().
+ */
+function loadRenderOptions(argv) {
+  return {
+    title: argv.title,
+    author: argv.author,
+    date: argv.date,
+    vars: arrayToMap(argv.var || envOptionAsArray(process.env.VAR)),
+    js: loadFiles(argv.js || envOptionAsArray(process.env.JS)),
+    frontPage: loadFile(argv.frontPage),
+    frontPageDir: argv.frontPage ? path.dirname(argv.frontPage) : '.',
+    backPage: loadFile(argv.backPage),
+    backPageDir: argv.backPage ? path.dirname(argv.backPage) : '.',
+    layout: loadFile(argv.layout),
+    layoutDir: argv.layout ? path.dirname(argv.layout) : '.',
+    partials: loadPartials(argv.templatesDir),
+    plugins: loadPlugins(argv.plugin || envOptionAsArray(process.env.PLUGIN)),
+    toc: argv.toc,
+    tocMinDepth: argv.tocMinDepth,
+    tocMaxDepth: argv.tocMaxDepth,
+    chapterToc: argv.chapterToc,
+    numberSections: argv.numberSections,
+    sourceLines: argv.sourceLines,
+    footnotes: argv.footnotes,
+    math: argv.math,
+    admonitions: getAdmonitions(argv),
+    glossary: argv.glossary ? parseGlossary(argv.glossary, loadFile(argv.glossary)) : [],
+    glossaryMode: argv.glossaryMode,
+    glossarySection: argv.glossarySection,
+    lof: argv.lof,
+    lot: argv.lot,
+    xrefNumbering: argv.xrefNumbering,
+    xrefNames: arrayToMap(argv.xrefName || envOptionAsArray(process.env.XREF_NAME)),
+    highlightTheme: argv.highlightTheme,
+    diagrams: argv.diagrams,
+    diagramCacheDir: argv.diagramCache,
+  };
+}
+
+module.exports = {
+  addRenderOptions,
+  copyAssets,
+  createAssetResolver,
+  getAdmonitions,
+  getAssetsOptions,
+  listPartials,
+  loadCssFiles,
+  loadFile,
+  loadFiles,
+  loadPartials,
+  loadRenderOptions,
+  renderOptions,
+  saveFile,
+};
@@ -0,0 +1,240 @@
+const fs = require('fs');
+const path = require('path');
+
+// Looked up in the current directory if no --config is given
+const defaultConfigFiles = [ 'md-docutils.config.js', 'md-docutils.config.json' ];
+const configTools = [ 'md2html', 'spellcheck', 'check-links', 'md-diff' ];
+// Tools also taking the options they know from another tool's section,
+// so md-diff renders with the md2html layout and CSS.
+const inheritedTools = { 'md-diff': 'md2html' };
+const profileKeys = [ 'extends', 'description', ...configTools ];
+// Handled by applyConfig(), they can't be set by the config itself
+const configOptions = [ 'config', 'profile', 'help', 'h', 'version' ];
+// Options with file names, relative to the config file. Map values
+// (lang=file) are resolved as well, plugins only if given as paths.
+const pathOptions = [
+  'css', 'js', 'front-page', 'back-page', 'layout', 'templates-dir', 'glossary',
+  'manifest', 'diagram-cache', 'output-dir', 'output', 'report-file', 'personal-dict', 'wordlist',
+];
+const pluginOption = 'plugin';
+
+function envOptionAsArray(str) {
+  if (!str) {
+    return [];
+  }
+  try {
+    return JSON.parse(str);
+  } catch (exc) {
+    if (str.indexOf('"') === -1 && str.indexOf('\'') === -1) {
+      const array = str.split(';');
+      if (array.length > 1) {
+        return array;
+      }
+      return array[0].split(',');
+    } else {
+      throw new Error(`unexpected serialized array: ${str}. Use proper JSON! ${exc}`);
+    }
+  }
+}
+
+function arrayToMap(array) {
+  const ret = {};
+  for (let i = 0; i < array.length; i += 1) {
+    const parts = array[i].split('=');
+    if (parts.length < 2) {
+      throw new Error(`Invalid map format. Expected key=value, got: ${array[i]}`);
+    }
+    const k = parts[0];
+    const v = parts.slice(1).join('=');
+    ret[k] = v;
+  }
+  return ret;
+}
+
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+function findConfigFile() {
+  return defaultConfigFiles.find(fname => fs.existsSync(fname)) || null;
+}
+
+function loadConfig(fname) {
+  let config;
+  try {
+    if (fname.endsWith('.js')) {
+      config = require(path.resolve(fname));
+    } else {
+      config = JSON.parse(fs.readFileSync(fname, { encoding: 'utf8' }));
+    }
+  } catch (exc) {
+    throw new Error(`${fname}: invalid config: ${exc.message}`);
+  }
+  if (!isPlainObject(config)) {
+    throw new Error(`${fname}: config must be an object`);
+  }
+  return config;
+}
+
+function checkKeys(obj, known, where) {
+  const unknown = Object.keys(obj).filter(k => known.indexOf(k) === -1);
+  if (unknown.length > 0) {
+    throw new Error(`unknown ${unknown.length > 1 ? 'keys' : 'key'} ${unknown.join(', ')} in ${where}, expected one of: ${known.join(', ')}`);
+  }
+}
+
+// Later options win, maps (ie: var) are merged.
+function mergeOptions(base, options) {
+  const ret = { ...base };
+  Object.keys(options).forEach((k) => {
+    ret[k] = isPlainObject(ret[k]) && isPlainObject(options[k]) ? { ...ret[k], ...options[k] } : options[k];
+  });
+  return ret;
+}
+
+// The tool options of the profile, after the ones it extends.
+function resolveProfile(config, fname, tool, name, seen = []) {
+  const profiles = config.profiles || {};
+  if (!isPlainObject(profiles[name])) {
+    throw new Error(`${fname}: unknown profile ${name}, expected one of: ${Object.keys(profiles).join(', ')}`);
+  }
+  if (seen.indexOf(name) !== -1) {
+    throw new Error(`${fname}: profiles extend each other: ${seen.concat(name).join(' -> ')}`);
+  }
+  const profile = profiles[name];
+  checkKeys(profile, profileKeys, `${fname} profile ${name}`);
+  const bases = [].concat(profile.extends || []);
+  let options = {};
+  for (let i = 0; i < bases.length; i += 1) {
+    options = mergeOptions(options, resolveProfile(config, fname, tool, bases[i], seen.concat(name)));
+  }
+  return mergeOptions(options, profile[tool] || {});
+}
+
+function getToolOptions(config, fname, tool, profile) {
+  const options = config[tool] || {};
+  return profile ? mergeOptions(options, resolveProfile(config, fname, tool, profile)) : options;
+}
+
+function toKebabCase(key) {
+  return key.replace(/[A-Z]/g, c => `-${c.toLowerCase()}`);
+}
+
+// Relative to the current directory, as given in the command line.
+function resolvePath(dirname, fname) {
+  return path.relative(process.cwd(), path.resolve(dirname, fname)) || '.';
+}
+
+function resolveOptionPaths(key, value, dirname) {
+  if (isPlainObject(value)) {
+    const ret = {};
+    Object.keys(value).forEach((k) => {
+      ret[k] = resolveOptionPaths(key, value[k], dirname);
+    });
+    return ret;
+  }
+  if (Array.isArray(value)) {
+    return value.map(v => resolveOptionPaths(key, v, dirname));
+  }
+  if (typeof value !== 'string') {
+    return value;
+  }
+  if (key === pluginOption) {
+    return /^[.]{1,2}[\\/]/.test(value) ? path.resolve(dirname, value) : value;
+  }
+  const [ , prefix, fname ] = value.match(/^((?:[^=/\\]+=)?)(.*)$/);
+  return `${prefix}${resolvePath(dirname, fname)}`;
+}
+
+// Paths in the config file are relative to its directory.
+function resolveConfigPaths(options, dirname) {
+  const ret = {};
+  Object.keys(options).forEach((k) => {
+    const key = toKebabCase(k);
+    ret[k] = pathOptions.indexOf(key) !== -1 || key === pluginOption ? resolveOptionPaths(key, options[k], dirname) : options[k];
+  });
+  return ret;
+}
+
+/*
+ * Options of the tool (see configTools) given by the config file: its
+ * top-level section merged with the profile, if any, after the known
+ * options of the tool it inherits from (see inheritedTools). Keys must
+ * be known to the tool (knownKeys), maps are given as objects and
+ * converted to the command line format (key=value). Paths are resolved
+ * against the config file directory.
+ */
+function getConfigOptions(config, fname, tool, knownKeys, profile) {
+  checkKeys(config, [ 'profiles', ...configTools ], fname);
+  const known = knownKeys.filter(k => configOptions.indexOf(k) === -1);
+  let options = {};
+  if (inheritedTools[tool]) {
+    const inherited = getToolOptions(config, fname, inheritedTools[tool], profile);
+    Object.keys(inherited).filter(k => known.indexOf(k) !== -1).forEach((k) => {
+      options[k] = inherited[k];
+    });
+  }
+  const own = getToolOptions(config, fname, tool, profile);
+  checkKeys(own, known, `${fname} ${tool} options${profile ? ` (profile ${profile})` : ''}`);
+  options = resolveConfigPaths(mergeOptions(options, own), path.dirname(fname));
+
+  const ret = {};
+  Object.keys(options).forEach((k) => {
+    const value = options[k];
+    ret[k] = isPlainObject(value) ? Object.keys(value).map(name => `${name}=${value[name]}`) : value;
+  });
+  return ret;
+}
+
+/*
+ * Adds the --config and --profile options to the yargs instance and
+ * applies the config file to it. Precedence: command line > profile >
+ * config file top-level section > environment > defaults.
+ */
+function applyConfig(yargs, tool, args = process.argv.slice(2)) {
+  yargs
+    .option('config', {
+      describe: `Config file, defaults to ${defaultConfigFiles.join(' or ')} if found.`,
+      default: process.env.MD_DOCUTILS_CONFIG,
+    })
+    .option('profile', {
+      alias: 'P',
+      describe: 'Profile of the config file to use.',
+      default: process.env.PROFILE,
+    });
+
+  // config and profile must be known before the other options are parsed
+  const { config: configFile, profile } = require('yargs/yargs')(args)
+    .option('config', { default: process.env.MD_DOCUTILS_CONFIG })
+    .option('profile', { alias: 'P', default: process.env.PROFILE })
+    .help(false)
+    .version(false)
+    .argv;
+  const fname = configFile || findConfigFile();
+  if (!fname) {
+    if (profile) {
+      throw new Error(`no config file to load profile ${profile} from, use --config`);
+    }
+    return yargs;
+  }
+
+  const config = loadConfig(fname);
+  // long option names, either as-is (output-dir) or camelCase (outputDir)
+  const knownKeys = [];
+  Object.keys(yargs.getOptions().key).forEach((k) => {
+    knownKeys.push(k);
+    if (k.indexOf('-') !== -1) {
+      knownKeys.push(k.replace(/-([a-z])/g, (match, c) => c.toUpperCase()));
+    }
+  });
+  return yargs.config(getConfigOptions(config, fname, tool, knownKeys, profile));
+}
+
+module.exports = {
+  applyConfig,
+  arrayToMap,
+  defaultConfigFiles,
+  envOptionAsArray,
+  getConfigOptions,
+  loadConfig,
+};
@@ -0,0 +1,168 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { spawnSync } = require('child_process');
+const mkdirp = require('mkdirp');
+const { escapeHtml } = require('./html');
+
+const defaultDiagramTimeout = 30000;
+
+/*
+ * Diagram renderers convert the contents of fenced code blocks to SVG:
+ *  - name: used in error messages and in the cache key;
+ *  - langs: fenced code block languages (```dot) handled by it;
+ *  - available(): optional, if it returns false the blocks are
+ *    highlighted as regular code;
+ *  - render(source, options): returns the SVG, throws on errors.
+ */
+
+// Whether the executable is found in $PATH, memoized
+const executables = {};
+function isExecutableAvailable(command) {
+  if (executables[command] === undefined) {
+    const dirs = (process.env.PATH || '').split(path.delimiter);
+    executables[command] = dirs.some((dir) => {
+      try {
+        fs.accessSync(path.join(dir, command), fs.constants.X_OK);
+        return true;
+      } catch (exc) {
+        return false;
+      }
+    });
+  }
+  return executables[command];
+}
+
+function runCommand(command, args, input, options = {}) {
+  const result = spawnSync(command, args, {
+    input,
+    encoding: 'utf-8',
+    timeout: options.diagramTimeout || defaultDiagramTimeout,
+  });
+  if (result.error) {
+    if (result.error.code === 'ENOENT') {
+      throw new Error(`${command} was not found, is it installed?`);
+    }
+    throw result.error;
+  }
+  if (result.status !== 0) {
+    const stderr = (result.stderr || '').trim();
+    throw new Error(`${command} exited with ${result.status}${stderr ? ': ' + stderr : ''}`);
+  }
+  return result.stdout;
+}
+
+// Renderer of tools that read the diagram from stdin and write SVG to stdout
+function createPipeRenderer(name, langs, command, args, optional) {
+  return {
+    name,
+    langs,
+    available: optional ? () => isExecutableAvailable(command) : undefined,
+    render: (source, options) => runCommand(command, args, source, options),
+  };
+}
+
+// Mermaid CLI only works with files
+function renderMermaid(source, options) {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'md2html-mermaid-'));
+  const input = path.join(dir, 'diagram.mmd');
+  const output = path.join(dir, 'diagram.svg');
+  try {
+    fs.writeFileSync(input, source);
+    runCommand('mmdc', [ '-i', input, '-o', output ], '', options);
+    return fs.readFileSync(output, 'utf-8');
+  } finally {
+    [ input, output ].forEach((fname) => {
+      if (fs.existsSync(fname)) {
+        fs.unlinkSync(fname);
+      }
+    });
+    fs.rmdirSync(dir);
+  }
+}
+
+const defaultDiagramRenderers = [
+  createPipeRenderer('graphviz', [ 'dot', 'graphviz' ], 'dot', [ '-Tsvg' ], false),
+  createPipeRenderer('plantuml', [ 'plantuml', 'puml' ], 'plantuml', [ '-tsvg', '-pipe' ], true),
+  {
+    name: 'mermaid',
+    langs: [ 'mermaid' ],
+    available: () => isExecutableAvailable('mmdc'),
+    render: renderMermaid,
+  },
+];
+
+// Renderers given in options take precedence over the default ones.
+function getDiagramRenderer(lang, options) {
+  if (!lang || options.diagrams === false) {
+    return null;
+  }
+  const renderers = (options.diagramRenderers || []).concat(defaultDiagramRenderers);
+  for (let i = 0; i < renderers.length; i += 1) {
+    const renderer = renderers[i];
+    if (renderer.langs.indexOf(lang) !== -1) {
+      return !renderer.available || renderer.available() ? renderer : null;
+    }
+  }
+  return null;
+}
+
+// Removes the XML declaration, DOCTYPE and comments so the SVG can be
+// inlined in the HTML.
+function cleanupSvg(svg) {
+  const start = svg.indexOf('<svg');
+  if (start === -1) {
+    throw new Error('output is not SVG');
+  }
+  return svg.slice(start).replace(/<!--[\s\S]*?-->\n?/g, '').trim();
+}
+
+// Replaces the attributes of the root <svg> element, null removes them.
+function setSvgAttributes(svg, attrs) {
+  return svg.replace(/^<svg\b([^>]*)>/, (match, svgAttrs) => {
+    let ret = svgAttrs;
+    Object.keys(attrs).forEach((name) => {
+      ret = ret.replace(new RegExp(`\\s${name}="[^"]*"`), '');
+      if (attrs[name] !== null) {
+        ret += ` ${name}="${escapeHtml(attrs[name])}"`;
+      }
+    });
+    return `<svg${ret}>`;
+  });
+}
+
+// Results are cached by content hash, in memory and, if
+// options.diagramCacheDir is given, on disk.
+const memoryCache = {};
+function renderDiagram(renderer, source, options) {
+  const hash = crypto.createHash('sha256')
+    .update(renderer.name)
+    .update('\0')
+    .update(source)
+    .digest('hex');
+  if (memoryCache[hash]) {
+    return memoryCache[hash];
+  }
+
+  const cacheFile = options.diagramCacheDir ? path.join(options.diagramCacheDir, `${hash}.svg`) : null;
+  if (cacheFile && fs.existsSync(cacheFile)) {
+    memoryCache[hash] = fs.readFileSync(cacheFile, 'utf-8');
+    return memoryCache[hash];
+  }
+
+  const svg = cleanupSvg(renderer.render(source, options));
+  if (cacheFile) {
+    mkdirp.sync(options.diagramCacheDir);
+    fs.writeFileSync(cacheFile, svg);
+  }
+  memoryCache[hash] = svg;
+  return svg;
+}
+
+module.exports = {
+  defaultDiagramRenderers,
+  getDiagramRenderer,
+  renderDiagram,
+  setSvgAttributes,
+};
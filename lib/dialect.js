@@ -0,0 +1,314 @@
+const { escapeHtml, replaceOutsideCode } = require('./html');
+
+/*
+ * Markdown extensions marked 0.3 doesn't support:
+ *
+ *  - admonitions, call-out boxes delimited by ::: lines:
+ *
+ *        ::: warning Optional title
+ *        Markdown contents.
+ *        :::
+ *
+ *  - footnotes, [^label] references and [^label]: definitions, further
+ *    paragraphs of the definition are indented by 4 spaces;
+ *
+ *  - definition lists, a term followed by lines starting with ": ", the
+ *    definition continues on indented lines.
+ *
+ * Blocks are replaced by HTML comments (placeholders) around their
+ * Markdown contents before marked runs, so it still converts the
+ * contents, then by the actual tags. See extractBlocks() and
+ * restoreBlocks().
+ */
+
+// type: { title, className, icon }
+const defaultAdmonitions = {
+  note: { title: 'Note' },
+  tip: { title: 'Tip' },
+  important: { title: 'Important' },
+  warning: { title: 'Warning' },
+  caution: { title: 'Caution' },
+  risk: { title: 'Risk' },
+};
+const footnotePlacements = [ 'document', 'chapter', 'page' ];
+
+const fenceRegExp = /^ *(`{3,}|~{3,})/;
+const admonitionOpenRegExp = /^ {0,3}:{3,}\s*([A-Za-z][\w-]*)(?:\s+(.*?))?\s*$/;
+const admonitionCloseRegExp = /^ {0,3}:{3,}\s*$/;
+const footnoteDefinitionRegExp = /^ {0,3}\[\^([^\]\s]+)\]:\s?(.*)$/;
+const footnoteReferenceRegExp = /\[\^([^\]\s]+)\]/g;
+// ids of the generated footnotes and their references
+const footnoteIdRegExp = /^fn(?:ref)?-\d+(?:-\d+)?$/;
+const definitionRegExp = /^ {0,3}:(?: +|\t)(.*)$/;
+const indentedRegExp = /^(?: {1,4}|\t)/;
+const placeholderRegExp = /<!--md2html:(\/?)(admonition|dl|dt|dd)(?::(\d+))?-->\n?/g;
+
+function placeholder(name, index) {
+  return `\n<!--md2html:${name}${index === undefined ? '' : `:${index}`}-->\n`;
+}
+
+function isBlank(line) {
+  return line === undefined || line.trim() === '';
+}
+
+// Lines following start that are indented or blank lines followed by
+// indented ones, without the indentation.
+function takeIndented(lines, start) {
+  const taken = [];
+  let i = start;
+  while (i < lines.length && (indentedRegExp.test(lines[i]) ||
+                              (isBlank(lines[i]) && indentedRegExp.test(lines[i + 1] || '')))) {
+    taken.push(lines[i].replace(indentedRegExp, ''));
+    i += 1;
+  }
+  return { taken, next: i };
+}
+
+function startsDefinitionList(lines, i) {
+  return !isBlank(lines[i]) && !definitionRegExp.test(lines[i]) && definitionRegExp.test(lines[i + 1] || '');
+}
+
+// options.admonitions add types or override fields of the default ones
+function getAdmonitionTypes(options) {
+  const types = { ...defaultAdmonitions };
+  Object.keys(options.admonitions || {}).forEach((type) => {
+    types[type] = { ...types[type], ...options.admonitions[type] };
+  });
+  return types;
+}
+
+function renderAdmonitionOpen(type, title, options) {
+  const admonition = getAdmonitionTypes(options)[type];
+  const className = admonition.className || `admonition-${type}`;
+  const icon = admonition.icon ? `<span class="admonition-icon" aria-hidden="true">${escapeHtml(admonition.icon)}</span> ` : '';
+  const heading = title || admonition.title || `${type[0].toUpperCase()}${type.slice(1)}`;
+  return [
+    `<aside class="admonition ${escapeHtml(className)}" role="note">`,
+    `<p class="admonition-title">${icon}${escapeHtml(heading)}</p>`,
+  ].join('\n');
+}
+
+/*
+ * Replaces admonitions and definition lists by placeholders and removes
+ * the footnote definitions. The source must have its fenced code blocks
+ * extracted (see fences.js), firstLine is its first line in the file.
+ * Returns { source, blocks, footnotes }, where footnotes are
+ * { label: { source, line } }.
+ */
+function extractBlocks(source, firstLine, context) {
+  const { chapter, options, reportError } = context;
+  const types = getAdmonitionTypes(options);
+  const lines = source.split('\n');
+  const out = [];
+  const blocks = [];
+  const footnotes = {};
+  // open admonitions, false for unknown types (rendered as plain text)
+  const open = [];
+  let closing = null;
+  let i = 0;
+  while (i < lines.length) {
+    const line = lines[i];
+    const fence = line.match(fenceRegExp);
+    if (closing || fence) {
+      if (!closing) {
+        closing = fence[1];
+      } else if (line.trim() === closing) {
+        closing = null;
+      }
+      out.push(line);
+      i += 1;
+      continue;
+    }
+
+    const footnote = line.match(footnoteDefinitionRegExp);
+    const admonition = line.match(admonitionOpenRegExp);
+    if (footnote) {
+      const { taken, next } = takeIndented(lines, i + 1);
+      if (footnotes[footnote[1]]) {
+        reportError(`${chapter}:${firstLine + i}: footnote ${footnote[1]} defined more than once`);
+      }
+      footnotes[footnote[1]] = { source: [ footnote[2], ...taken ].join('\n'), line: firstLine + i };
+      i = next;
+    } else if (admonitionCloseRegExp.test(line) && open.length > 0) {
+      if (open.pop()) {
+        out.push(placeholder('/admonition'));
+      }
+      i += 1;
+    } else if (admonition) {
+      const type = admonition[1].toLowerCase();
+      if (!types[type]) {
+        reportError(`${chapter}:${firstLine + i}: unknown admonition ${admonition[1]}, expected one of: ${Object.keys(types).join(', ')}`);
+        open.push(false);
+      } else {
+        blocks.push(renderAdmonitionOpen(type, admonition[2], options));
+        out.push(placeholder('admonition', blocks.length - 1));
+        open.push(true);
+      }
+      i += 1;
+    } else if (startsDefinitionList(lines, i) && (i === 0 || isBlank(lines[i - 1]))) {
+      out.push(placeholder('dl'));
+      while (startsDefinitionList(lines, i)) {
+        out.push(placeholder('dt'), lines[i].trim(), placeholder('/dt'));
+        i += 1;
+        let definition;
+        while (i < lines.length && (definition = lines[i].match(definitionRegExp))) {
+          const { taken, next } = takeIndented(lines, i + 1);
+          out.push(placeholder('dd'), definition[1], ...taken, placeholder('/dd'));
+          i = next;
+        }
+        // terms may be separated by blank lines
+        let j = i;
+        while (j < lines.length && isBlank(lines[j])) {
+          j += 1;
+        }
+        if (!startsDefinitionList(lines, j)) {
+          break;
+        }
+        i = j;
+      }
+      out.push(placeholder('/dl'));
+    } else {
+      out.push(line);
+      i += 1;
+    }
+  }
+  if (open.some(known => known)) {
+    reportError(`${chapter}: ${open.filter(known => known).length} admonitions not closed, missing :::`);
+    open.filter(known => known).forEach(() => out.push(placeholder('/admonition')));
+  }
+  return { source: out.join('\n'), blocks, footnotes };
+}
+
+// Replaces the placeholders of extractBlocks() in the generated HTML.
+function restoreBlocks(html, blocks) {
+  return html
+    .replace(placeholderRegExp, (match, close, name, index) => {
+      if (name === 'admonition') {
+        return close ? '</aside>\n' : `${blocks[parseInt(index, 10)]}\n`;
+      }
+      return `<${close}${name}>\n`;
+    })
+    // terms are single paragraphs, short definitions are kept tight
+    .replace(/<dt>\n<p>([\s\S]*?)<\/p>\n<\/dt>/g, '<dt>$1</dt>')
+    .replace(/<dd>\n<p>((?:(?!<\/?p>)[\s\S])*)<\/p>\n<\/dd>/g, '<dd>$1</dd>');
+}
+
+/*
+ * Footnotes are numbered in order of first reference within the whole
+ * document. Placement:
+ *  - document: listed at the end of the document;
+ *  - chapter: listed at the end of each chapter (before the next h1);
+ *  - page: kept at the reference as <span class="footnote">, for print
+ *    styles using float: footnote.
+ */
+class Footnotes {
+  constructor(placement = 'document') {
+    if (footnotePlacements.indexOf(placement) === -1) {
+      throw new Error(`unknown footnotes placement: ${placement}, expected one of: ${footnotePlacements.join(', ')}`);
+    }
+    this.placement = placement;
+    this.count = 0;
+    this.pending = [];
+  }
+
+  /*
+   * Replaces the references in the chapter's HTML, definitions are
+   * { label: { html, line } }, they can't be referenced by other
+   * chapters.
+   */
+  resolveChapter(html, definitions, chapter, reportError) {
+    const numbers = {};
+    const refs = {};
+    const replaceReferences = text => replaceOutsideCode(text, part => part.replace(footnoteReferenceRegExp, (match, label) => {
+      const definition = definitions[label];
+      if (!definition) {
+        reportError(`${chapter}: undefined footnote ${label}`);
+        return match;
+      }
+      if (!numbers[label]) {
+        this.count += 1;
+        numbers[label] = this.count;
+        refs[label] = 0;
+        // footnotes may reference other footnotes
+        const note = { number: this.count, html: null, chapter };
+        this.pending.push(note);
+        note.html = replaceReferences(definition.html);
+      }
+      refs[label] += 1;
+      const n = numbers[label];
+      if (this.placement === 'page') {
+        return refs[label] > 1 ? `<sup class="footnote-ref">${n}</sup>` : this.renderPageFootnote(n);
+      }
+      const refId = refs[label] > 1 ? `fnref-${n}-${refs[label]}` : `fnref-${n}`;
+      return `<sup class="footnote-ref"><a href="#fn-${n}" id="${refId}" role="doc-noteref">${n}</a></sup>`;
+    }));
+
+    let ret;
+    if (this.placement === 'chapter') {
+      ret = html.split(/(?=<h1[\s>])/)
+        .map((section) => {
+          const resolved = replaceReferences(section);
+          const notes = this.flush();
+          return notes ? `${resolved}${notes}\n` : resolved;
+        })
+        .join('');
+    } else {
+      ret = replaceReferences(html);
+    }
+    Object.keys(definitions)
+      .filter(label => !numbers[label])
+      .forEach(label => reportError(`${chapter}:${definitions[label].line}: footnote ${label} is never referenced`));
+    return ret;
+  }
+
+  renderPageFootnote(n) {
+    const note = this.pending.find(p => p.number === n);
+    this.pending = this.pending.filter(p => p !== note);
+    const text = note.html.trim().replace(/^<p\b[^>]*>([\s\S]*)<\/p>$/, '$1').replace(/<\/p>\s*<p\b[^>]*>/g, '<br />');
+    return `<span class="footnote" id="fn-${n}" role="doc-footnote">${text}</span>`;
+  }
+
+  // Changes the HTML of the chapter's footnotes not listed yet.
+  mapPending(chapter, fn) {
+    this.pending.forEach((note) => {
+      if (note.chapter === chapter) {
+        note.html = fn(note.html);
+      }
+    });
+  }
+
+  // Lists the footnotes referenced since the last call, if not placed by
+  // page.
+  flush() {
+    if (this.pending.length === 0) {
+      return '';
+    }
+    const first = this.pending[0].number;
+    const items = this.pending.map(({ number, html }) => {
+      const backlink = `<a href="#fnref-${number}" class="footnote-back" role="doc-backlink">&#8617;</a>`;
+      const contents = html.trim();
+      const withBacklink = /<\/p>$/.test(contents)
+        ? contents.replace(/<\/p>$/, ` ${backlink}</p>`)
+        : `${contents} ${backlink}`;
+      return `<li id="fn-${number}" role="doc-endnote">${withBacklink}</li>`;
+    });
+    this.pending = [];
+    return [
+      '<section class="footnotes" role="doc-endnotes">',
+      '<hr />',
+      `<ol${first > 1 ? ` start="${first}"` : ''}>`,
+      ...items,
+      '</ol>',
+      '</section>',
+    ].join('\n');
+  }
+}
+
+module.exports = {
+  defaultAdmonitions,
+  extractBlocks,
+  footnoteIdRegExp,
+  footnotePlacements,
+  Footnotes,
+  restoreBlocks,
+};
@@ -0,0 +1,424 @@
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const cheerio = require('cheerio');
+const JSZip = require('jszip');
+const { mimeTypes } = require('./assets');
+const { escapeHtml } = require('./html');
+const { defaultToCTitle, getTocHeadings } = require('./toc');
+
+/*
+ * EPUB 3 packages of the rendered documents:
+ *
+ *     mimetype
+ *     META-INF/container.xml
+ *     EPUB/package.opf    metadata, manifest and spine
+ *     EPUB/nav.xhtml      navigation document (ToC and landmarks)
+ *     EPUB/cover.xhtml    front page, if any
+ *     EPUB/style.css      the inlined CSS of the HTML output
+ *     EPUB/chapter-N.xhtml
+ *     EPUB/assets/...     local images and fonts
+ *
+ * genEpub() describes the package as { files: [{ name, contents }] },
+ * where contents may be replaced by source (file name to read), so it
+ * can be built by the worker threads and zipped by zipEpub() later.
+ */
+const epubMimeType = 'application/epub+zip';
+const contentDir = 'EPUB';
+const xhtmlMimeType = 'application/xhtml+xml';
+const defaultLang = 'en';
+const namespaces = {
+  math: 'http://www.w3.org/1998/Math/MathML',
+  svg: 'http://www.w3.org/2000/svg',
+  xlink: 'http://www.w3.org/1999/xlink',
+};
+
+function toXhtml(html) {
+  const $ = cheerio.load(html, null, false);
+  // the HTML parser keeps the prefix of SVG attributes (xlink:href,
+  // xml:space...) aside, they are serialized without it
+  $('svg, svg *, math, math *').each((i, el) => {
+    const prefixes = el['x-attribsPrefix'] || {};
+    Object.keys(prefixes).filter(name => prefixes[name]).forEach((name) => {
+      const value = el.attribs[name];
+      delete el.attribs[name];
+      el.attribs[`${prefixes[name]}:${name}`] = value;
+    });
+  });
+  // namespaces are implied in HTML, not in XHTML
+  $('math:not([xmlns]), svg:not([xmlns])').each((i, el) => {
+    $(el).attr('xmlns', namespaces[el.name]);
+  });
+  $('svg:not([xmlns\\:xlink])').each((i, el) => {
+    if ($(el).find('*').addBack().toArray().some(e => Object.keys(e.attribs).some(a => a.startsWith('xlink:')))) {
+      $(el).attr('xmlns:xlink', namespaces.xlink);
+    }
+  });
+  return $.xml();
+}
+
+function genXhtml(title, body, lang) {
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<!DOCTYPE html>',
+    `<html xmlns="http://www.w3.org/1999/xhtml" xmlns:epub="http://www.idpf.org/2007/ops" xml:lang="${lang}" lang="${lang}">`,
+    '<head>',
+    '<meta charset="utf-8" />',
+    `<title>${escapeHtml(title)}</title>`,
+    '<link rel="stylesheet" type="text/css" href="style.css" />',
+    '</head>',
+    '<body>',
+    body,
+    '</body>',
+    '</html>',
+    '',
+  ].join('\n');
+}
+
+/*
+ * Splits the contents at the h1 and the chapters of books, text before
+ * the first one is kept with it. Returns the XHTML fragments.
+ */
+function splitChapters(html) {
+  const $ = cheerio.load(html, null, false);
+  const chapters = [];
+  let current = null;
+  $.root().contents().each((i, node) => {
+    if (node.type === 'tag' && (node.name === 'h1' || $(node).is('div.chapter'))) {
+      if (!current || current.started) {
+        current = { nodes: [], started: false };
+        chapters.push(current);
+      }
+      current.started = true;
+    } else if (!current) {
+      current = { nodes: [], started: false };
+      chapters.push(current);
+    }
+    current.nodes.push(node);
+  });
+  return chapters
+    .map(({ nodes }) => toXhtml($.html(nodes)))
+    .filter(xhtml => xhtml.trim());
+}
+
+// Links to ids of other files get their file name.
+function resolveLinks(xhtml, fname, idFiles) {
+  return xhtml.replace(/(<a\b[^>]*\shref=")#([^"]+)"/g, (match, before, id) => {
+    const file = idFiles[id];
+    return file && file !== fname ? `${before}${file}#${id}"` : match;
+  });
+}
+
+function genNavList(nodes, idFiles) {
+  const items = nodes.map(({ heading, children }) => [
+    `<li><a href="${idFiles[heading.id] || ''}#${heading.id}">${toXhtml(heading.html)}</a>`,
+    children.length > 0 ? '\n' + genNavList(children, idFiles) + '\n' : '',
+    '</li>',
+  ].join(''));
+  return [ '<ol>', ...items, '</ol>' ].join('\n');
+}
+
+function genNav(title, headings, idFiles, landmarks) {
+  return [
+    `<nav epub:type="toc" id="toc">`,
+    `<h1>${escapeHtml(title)}</h1>`,
+    genNavList(headings, idFiles),
+    '</nav>',
+    '<nav epub:type="landmarks" hidden="hidden">',
+    '<ol>',
+    ...landmarks.map(({ type, href, title: text }) => `<li><a epub:type="${type}" href="${href}">${escapeHtml(text)}</a></li>`),
+    '</ol>',
+    '</nav>',
+  ].join('\n');
+}
+
+// Identifier of documents without doc-id, stable across builds.
+function genUuid(seed) {
+  const hex = crypto.createHash('sha1').update(seed).digest('hex');
+  return `urn:uuid:${hex.slice(0, 8)}-${hex.slice(8, 12)}-5${hex.slice(13, 16)}-a${hex.slice(17, 20)}-${hex.slice(20, 32)}`;
+}
+
+function getItemProperties(name, contents) {
+  const properties = [];
+  if (name === 'nav.xhtml') {
+    properties.push('nav');
+  }
+  if (/<math\b/.test(contents)) {
+    properties.push('mathml');
+  }
+  if (/<svg\b/.test(contents)) {
+    properties.push('svg');
+  }
+  return properties;
+}
+
+function genOpf(metadata, items, spine) {
+  const { identifier, title, authors, date, lang, modified } = metadata;
+  return [
+    '<?xml version="1.0" encoding="utf-8"?>',
+    '<package xmlns="http://www.idpf.org/2007/opf" version="3.0" unique-identifier="doc-id">',
+    '<metadata xmlns:dc="http://purl.org/dc/elements/1.1/">',
+    `<dc:identifier id="doc-id">${escapeHtml(identifier)}</dc:identifier>`,
+    `<dc:title>${escapeHtml(title)}</dc:title>`,
+    ...authors.map(author => `<dc:creator>${escapeHtml(author)}</dc:creator>`),
+    ...(date ? [ `<dc:date>${escapeHtml(date)}</dc:date>` ] : []),
+    `<dc:language>${lang}</dc:language>`,
+    `<meta property="dcterms:modified">${modified}</meta>`,
+    '</metadata>',
+    '<manifest>',
+    ...items.map(({ id, href, mediaType, properties }) => `<item id="${id}" href="${escapeHtml(href)}" media-type="${mediaType}"${
+      properties.length > 0 ? ` properties="${properties.join(' ')}"` : ''} />`),
+    '</manifest>',
+    '<spine>',
+    ...spine.map(id => `<itemref idref="${id}" />`),
+    '</spine>',
+    '</package>',
+    '',
+  ].join('\n');
+}
+
+const containerXml = [
+  '<?xml version="1.0" encoding="utf-8"?>',
+  '<container version="1.0" xmlns="urn:oasis:names:tc:opendocument:xmlns:container">',
+  '<rootfiles>',
+  `<rootfile full-path="${contentDir}/package.opf" media-type="application/oebps-package+xml" />`,
+  '</rootfiles>',
+  '</container>',
+  '',
+].join('\n');
+
+/*
+ * Describes the EPUB package of the rendered document (see the top of
+ * this file). Options:
+ *  - metadata: title, author (string or list), date, lang and doc-id,
+ *    used as the package identifier;
+ *  - contents: HTML of the document, split in chapters at the h1;
+ *  - cover: HTML of the front page;
+ *  - css: stylesheet of all the pages;
+ *  - assets: map of path (relative to the package contents) to the
+ *    local file to include, such as AssetResolver.copies;
+ *  - toc: the title of the navigation document, if not true;
+ *  - tocMinDepth, tocMaxDepth: heading levels listed in it.
+ */
+function genEpub(options) {
+  const metadata = options.metadata || {};
+  const title = String(metadata.title || 'Untitled');
+  const lang = escapeHtml(metadata.lang ? String(metadata.lang).replace('_', '-') : defaultLang);
+  const authors = metadata.author ? [].concat(metadata.author).map(String) : [];
+  const date = /^\d{4}(-\d{2}(-\d{2})?)?$/.test(String(metadata.date || '')) ? String(metadata.date) : '';
+
+  const chapters = splitChapters(options.contents || '').map((xhtml, i) => ({
+    name: `chapter-${String(i + 1).padStart(3, '0')}.xhtml`,
+    xhtml,
+  }));
+  const idFiles = {};
+  chapters.forEach(({ name, xhtml }) => {
+    const idRegExp = /\sid="([^"]+)"/g;
+    let match;
+    while ((match = idRegExp.exec(xhtml)) !== null) {
+      idFiles[match[1]] = idFiles[match[1]] || name;
+    }
+  });
+
+  const pages = [];
+  const landmarks = [];
+  if (options.cover && options.cover.trim()) {
+    pages.push({ name: 'cover.xhtml', contents: genXhtml(title, `<section epub:type="cover">\n${toXhtml(options.cover)}\n</section>`, lang) });
+    landmarks.push({ type: 'cover', href: 'cover.xhtml', title: 'Cover' });
+  }
+  const tocTitle = options.toc && options.toc !== true ? String(options.toc) : defaultToCTitle;
+  const headings = getTocHeadings(options.contents || '', options);
+  landmarks.push({ type: 'toc', href: 'nav.xhtml', title: tocTitle });
+  pages.push({ name: 'nav.xhtml', contents: genXhtml(tocTitle, genNav(tocTitle, headings, idFiles, landmarks.concat(chapters.length > 0 ? [ { type: 'bodymatter', href: chapters[0].name, title } ] : [])), lang) });
+  chapters.forEach(({ name, xhtml }) => {
+    const body = `<div id="md-contents">\n${resolveLinks(xhtml, name, idFiles)}\n</div>`;
+    pages.push({ name, contents: genXhtml(title, body, lang) });
+  });
+
+  const items = pages.map(({ name, contents }, i) => ({
+    id: `page-${i + 1}`,
+    href: name,
+    mediaType: xhtmlMimeType,
+    properties: getItemProperties(name, contents),
+  }));
+  items.push({ id: 'style', href: 'style.css', mediaType: 'text/css', properties: [] });
+  const assets = options.assets || {};
+  Object.keys(assets).sort().forEach((href, i) => {
+    const mediaType = mimeTypes[path.extname(href).toLowerCase()];
+    if (!mediaType) {
+      throw new Error(`unknown MIME type of asset ${assets[href]}`);
+    }
+    items.push({ id: `asset-${i + 1}`, href, mediaType, properties: [] });
+  });
+
+  const opf = genOpf({
+    identifier: metadata['doc-id'] ? String(metadata['doc-id']) : genUuid(`${title}\n${authors.join('\n')}`),
+    title,
+    authors,
+    date,
+    lang,
+    modified: new Date().toISOString().replace(/[.]\d+Z$/, 'Z'),
+  }, items, items.filter(item => item.mediaType === xhtmlMimeType).map(item => item.id));
+
+  return {
+    files: [
+      { name: 'mimetype', contents: epubMimeType },
+      { name: 'META-INF/container.xml', contents: containerXml },
+      { name: `${contentDir}/package.opf`, contents: opf },
+      ...pages.map(({ name, contents }) => ({ name: `${contentDir}/${name}`, contents })),
+      { name: `${contentDir}/style.css`, contents: options.css || '' },
+      ...Object.keys(assets).sort().map(href => ({ name: `${contentDir}/${href}`, source: assets[href] })),
+    ],
+  };
+}
+
+// Zips the package of genEpub(), resolves to a Buffer.
+function zipEpub(epub) {
+  const zip = new JSZip();
+  epub.files.forEach(({ name, contents, source }) => {
+    // the mimetype must be the first entry, not compressed
+    zip.file(name, source ? fs.readFileSync(source) : contents, {
+      compression: name === 'mimetype' ? 'STORE' : 'DEFLATE',
+    });
+  });
+  return zip.generateAsync({ type: 'nodebuffer', mimeType: epubMimeType });
+}
+
+// Elements are balanced and entities are the XML ones.
+function checkWellFormed(xml, fname, errors) {
+  const stack = [];
+  const tagRegExp = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][^>]*>|<(\/?)([^\s/>]+)[^>]*?(\/?)>/g;
+  let match;
+  while ((match = tagRegExp.exec(xml)) !== null) {
+    const [ , closing, name, selfClosing ] = match;
+    if (!name || selfClosing) {
+      continue;
+    }
+    if (!closing) {
+      stack.push(name);
+    } else if (stack.pop() !== name) {
+      errors.push(`${fname}: unexpected </${name}>`);
+      return;
+    }
+  }
+  if (stack.length > 0) {
+    errors.push(`${fname}: <${stack.pop()}> not closed`);
+  }
+  const entity = xml.replace(/<!\[CDATA\[[\s\S]*?\]\]>/g, '').match(/&(?!(?:lt|gt|amp|quot|apos|#\d+|#x[\da-fA-F]+);)[^;\s]*;?/);
+  if (entity) {
+    errors.push(`${fname}: undefined entity ${entity[0]}`);
+  }
+}
+
+/*
+ * Structural checks of the EPUB (Buffer) that don't need epubcheck: the
+ * mimetype, container, OPF metadata, manifest and spine, navigation
+ * document and the well-formedness of the XML files. Resolves to the
+ * list of problems found.
+ */
+async function checkEpub(data) {
+  const errors = [];
+  // first entry, stored without extra fields: readers sniff its bytes
+  if (data.readUInt32LE(0) !== 0x04034b50 || data.readUInt16LE(8) !== 0 ||
+      data.toString('latin1', 30, 38) !== 'mimetype' || data.readUInt16LE(28) !== 0 ||
+      data.toString('latin1', 38, 38 + epubMimeType.length) !== epubMimeType) {
+    errors.push(`mimetype must be the first entry, stored with ${epubMimeType}`);
+  }
+
+  const zip = await JSZip.loadAsync(data);
+  const read = name => (zip.file(name) ? zip.file(name).async('string') : Promise.resolve(null));
+  const container = await read('META-INF/container.xml');
+  if (container === null) {
+    errors.push('missing META-INF/container.xml');
+    return errors;
+  }
+  checkWellFormed(container, 'META-INF/container.xml', errors);
+  const rootfile = cheerio.load(container, { xmlMode: true })('rootfile[media-type="application/oebps-package+xml"]').attr('full-path');
+  const opf = rootfile ? await read(rootfile) : null;
+  if (opf === null) {
+    errors.push(`META-INF/container.xml: missing package document ${rootfile || ''}`.trim());
+    return errors;
+  }
+  checkWellFormed(opf, rootfile, errors);
+
+  const $ = cheerio.load(opf, { xmlMode: true });
+  const uniqueId = $('package').attr('unique-identifier');
+  if ($('package').attr('version') !== '3.0') {
+    errors.push(`${rootfile}: package version must be 3.0`);
+  }
+  if (!uniqueId || $(`dc\\:identifier[id="${uniqueId}"]`).text().trim() === '') {
+    errors.push(`${rootfile}: missing dc:identifier ${uniqueId || ''}`.trim());
+  }
+  [ 'dc\\:title', 'dc\\:language', 'meta[property="dcterms:modified"]' ].forEach((selector) => {
+    if ($(selector).text().trim() === '') {
+      errors.push(`${rootfile}: missing ${selector.replace('\\', '')}`);
+    }
+  });
+
+  const baseDir = path.posix.dirname(rootfile);
+  const items = {};
+  const listed = {};
+  $('manifest > item').each((i, el) => {
+    const { id, href } = el.attribs;
+    const name = path.posix.join(baseDir, href || '');
+    if (!id || items[id]) {
+      errors.push(`${rootfile}: manifest item ${href} without unique id`);
+    }
+    if (!el.attribs['media-type']) {
+      errors.push(`${rootfile}: manifest item ${href} without media-type`);
+    }
+    if (!zip.file(name)) {
+      errors.push(`${rootfile}: manifest item ${href} not found in the package`);
+    }
+    items[id] = { ...el.attribs, name };
+    listed[name] = true;
+  });
+  zip.forEach((name, file) => {
+    if (!file.dir && name !== 'mimetype' && name !== rootfile && !name.startsWith('META-INF/') && !listed[name]) {
+      errors.push(`${name}: not listed in the manifest`);
+    }
+  });
+  const spine = $('spine > itemref').map((i, el) => el.attribs.idref).get();
+  if (spine.length === 0) {
+    errors.push(`${rootfile}: empty spine`);
+  }
+  spine.filter(idref => !items[idref]).forEach(idref => errors.push(`${rootfile}: spine item ${idref} not in the manifest`));
+
+  const documents = {};
+  const itemIds = Object.keys(items);
+  for (let i = 0; i < itemIds.length; i += 1) {
+    const item = items[itemIds[i]];
+    if (item['media-type'] === xhtmlMimeType && zip.file(item.name)) {
+      documents[item.name] = await read(item.name);
+      checkWellFormed(documents[item.name], item.name, errors);
+    }
+  }
+
+  const navItems = itemIds.filter(id => (items[id].properties || '').split(/\s+/).indexOf('nav') !== -1);
+  if (navItems.length !== 1) {
+    errors.push(`${rootfile}: expected one navigation document, found ${navItems.length}`);
+    return errors;
+  }
+  const navName = items[navItems[0]].name;
+  const nav = cheerio.load(documents[navName] || '', { xmlMode: true });
+  const toc = nav('nav[epub\\:type~="toc"]');
+  if (toc.length !== 1 || toc.children('ol').length !== 1) {
+    errors.push(`${navName}: expected a nav epub:type="toc" with an ol`);
+  }
+  nav('nav a[href]').each((i, el) => {
+    const [ file, id ] = el.attribs.href.split('#');
+    const target = path.posix.join(path.posix.dirname(navName), file);
+    if (documents[target] === undefined) {
+      errors.push(`${navName}: link to ${el.attribs.href}, not a content document`);
+    } else if (id && documents[target].indexOf(` id="${id}"`) === -1) {
+      errors.push(`${navName}: link to ${el.attribs.href}, no such id`);
+    }
+  });
+  return errors;
+}
+
+module.exports = {
+  checkEpub,
+  genEpub,
+  zipEpub,
+};
@@ -0,0 +1,85 @@
+const { parseAttributes } = require('./attributes');
+
+const fenceOpenRegExp = /^( *)(`{3,}|~{3,})[ .]*([^\n]*)$/;
+const fenceLangSeparator = ';fence=';
+const fencePlaceholderRegExp = /(`{3,}|~{3,})[^\s{]*;fence=(\d+)$/gm;
+
+/*
+ * marked only takes the first word of the fenced code block info string
+ * as the language, anything else breaks the block. The info string is
+ * replaced by "lang;fence=N", where N is the index of the block in
+ * fences: { lang, attributes, line, info }, used by the code renderer.
+ *
+ * Attributes follow the language: ```dot {#fig:arch caption="Arch"}
+ * Blocks without closing fence are left as they are.
+ */
+function extractFences(source, firstLine = 1) {
+  const lines = source.split('\n');
+  const fences = [];
+  let closing = null;
+  // opening line of the current block, restored if it is never closed
+  let opening = null;
+  for (let i = 0; i <= lines.length; i += 1) {
+    if (i === lines.length) {
+      if (!closing) {
+        break;
+      }
+      // marked doesn't take unclosed blocks as code, what follows the
+      // opening line may have blocks of its own.
+      lines[opening.index] = opening.line;
+      fences.pop();
+      i = opening.index;
+      closing = null;
+      continue;
+    }
+    const line = lines[i];
+    if (closing) {
+      if (line.trim() === closing) {
+        closing = null;
+      }
+      continue;
+    }
+
+    const match = line.match(fenceOpenRegExp);
+    if (!match || (match[2][0] === '`' && match[3].indexOf('`') !== -1)) {
+      continue;
+    }
+    closing = match[2];
+    opening = { index: i, line };
+    const info = match[3].trim();
+    const idx = info.search(/\s|\{/);
+    const lang = idx === -1 ? info : info.slice(0, idx);
+    const rest = idx === -1 ? '' : info.slice(idx).trim();
+    let attributes = null;
+    if (rest) {
+      const braces = rest.match(/^\{([^{}]*)\}$/);
+      attributes = parseAttributes(braces ? braces[1] : rest);
+    }
+    fences.push({ lang, attributes, line: firstLine + i, info: line.slice(match[1].length + match[2].length) });
+    lines[i] = `${match[1]}${match[2]}${lang}${fenceLangSeparator}${fences.length - 1}`;
+  }
+  return { source: lines.join('\n'), fences };
+}
+
+// Indented code blocks may show fences marked didn't take as such, their
+// info strings are restored.
+function restoreFences(code, fences) {
+  return code.replace(fencePlaceholderRegExp, (match, marker, index) => `${marker}${fences[parseInt(index, 10)].info}`);
+}
+
+// Returns the fence information given the language marked gives to the
+// code renderer.
+function getFence(fences, lang) {
+  const idx = (lang || '').lastIndexOf(fenceLangSeparator);
+  if (idx === -1) {
+    return { lang, attributes: null, line: null };
+  }
+  const fence = fences[parseInt(lang.slice(idx + fenceLangSeparator.length), 10)];
+  return { ...fence, lang: fence.lang || undefined };
+}
+
+module.exports = {
+  extractFences,
+  getFence,
+  restoreFences,
+};
@@ -0,0 +1,161 @@
+/*
+ * Interactive fixes of the misspellings located in the Markdown source
+ * (see spellCheckDocument() and md2html.js --source-lines): each one is
+ * replaced, once or everywhere, ignored or added to the personal
+ * dictionary of its language. Reviewing only collects the decisions,
+ * applyReplacements() and addPersonalWords() give the new contents.
+ */
+const maxChoices = 9;
+
+function getKey(lang, word) {
+  return `${lang}:${word}`;
+}
+
+function getPosition({ fname, line, column }) {
+  return `${fname}:${line}:${column}`;
+}
+
+// The source line with the word underlined, tabs are kept so it aligns.
+function formatContext(text, column, word) {
+  const before = text.slice(0, column - 1).replace(/[^\t]/g, ' ');
+  return `  ${text}\n  ${before}${'^'.repeat(word.length)}`;
+}
+
+function formatMisspelling({ word, lang, alternatives, source }) {
+  const choices = alternatives.slice(0, maxChoices).map((alt, i) => `${i + 1}) ${alt}`);
+  return [
+    `${getPosition(source)} (${lang}) ${word}`,
+    formatContext(source.text, source.column, word),
+    choices.length > 0 ? `  ${choices.join('  ')}` : '  (no suggestions)',
+  ].join('\n');
+}
+
+const actionsPrompt = '(r)eplace, replace (a)ll, (i)gnore, ignore a(l)l, a(d)d to dictionary, (q)uit? ';
+
+/*
+ * Asks what to do with each misspelling that has its source line,
+ * ask(question) resolves to the answer, null at the end of the input
+ * (as quit). Resolves to { replacements, words, reviewed, quit }:
+ * replacements are { fname, line, column, word, replacement } and words
+ * map language to the words to add to its personal dictionary.
+ */
+async function reviewMisspellings(misspellings, ask, print) {
+  const replacements = [];
+  const words = {};
+  // decisions that apply to all the following occurrences of the word
+  const everywhere = {};
+  const seen = {};
+  let reviewed = 0;
+
+  const askReplacement = async (alternatives) => {
+    const answer = await ask('Replacement (number or text): ');
+    if (answer === null) {
+      return null;
+    }
+    const n = parseInt(answer, 10);
+    return String(n) === answer.trim() && alternatives[n - 1] ? alternatives[n - 1] : answer.trim();
+  };
+
+  for (let i = 0; i < misspellings.length; i += 1) {
+    const misspelling = misspellings[i];
+    const { word, lang, alternatives, source } = misspelling;
+    const key = getKey(lang, word);
+    // the same source text may be rendered more than once (ie: ToC)
+    if (!source || source.text === null || seen[getPosition(source)]) {
+      continue;
+    }
+    seen[getPosition(source)] = true;
+    reviewed += 1;
+
+    let decision = everywhere[key];
+    if (!decision) {
+      print(formatMisspelling(misspelling));
+      const choices = alternatives.length > 0 ? `1-${Math.min(alternatives.length, maxChoices)} to replace, ` : '';
+      while (!decision) {
+        const answer = await ask(`${choices}${actionsPrompt}`);
+        if (answer === null) {
+          return { replacements, words, reviewed: reviewed - 1, quit: true };
+        }
+        const choice = answer.trim();
+        const n = parseInt(choice, 10);
+        if (String(n) === choice && n >= 1 && n <= Math.min(alternatives.length, maxChoices)) {
+          decision = { replacement: alternatives[n - 1] };
+        } else if (choice === 'r' || choice === 'a') {
+          const replacement = await askReplacement(alternatives);
+          if (replacement === null) {
+            return { replacements, words, reviewed: reviewed - 1, quit: true };
+          }
+          if (replacement) {
+            decision = { replacement };
+            if (choice === 'a') {
+              everywhere[key] = decision;
+            }
+          }
+        } else if (choice === 'i') {
+          decision = { ignore: true };
+        } else if (choice === 'l') {
+          decision = { ignore: true };
+          everywhere[key] = decision;
+        } else if (choice === 'd') {
+          decision = { ignore: true };
+          everywhere[key] = decision;
+          (words[lang] = words[lang] || []).push(word);
+        } else if (choice === 'q') {
+          return { replacements, words, reviewed: reviewed - 1, quit: true };
+        }
+      }
+    }
+    if (decision.replacement !== undefined) {
+      replacements.push({ ...source, word, replacement: decision.replacement });
+    }
+  }
+  return { replacements, words, reviewed, quit: false };
+}
+
+/*
+ * Replaces the words in the source contents, from the last one so the
+ * positions are kept. Words that are not found at their position (the
+ * file was edited meanwhile) are not replaced, but returned as skipped.
+ */
+function applyReplacements(contents, replacements) {
+  const lines = contents.split('\n');
+  const skipped = [];
+  const sorted = [ ...replacements ].sort((a, b) => (b.line - a.line) || (b.column - a.column));
+  sorted.forEach((r) => {
+    const line = lines[r.line - 1];
+    const start = r.column - 1;
+    const end = start + r.word.length;
+    const isBounded = line !== undefined &&
+      !/\p{L}/u.test(line.charAt(start - 1)) && !/\p{L}/u.test(line.charAt(end));
+    if (!isBounded || line.slice(start, end) !== r.word) {
+      skipped.push(r);
+      return;
+    }
+    lines[r.line - 1] = `${line.slice(0, start)}${r.replacement}${line.slice(end)}`;
+  });
+  return { contents: lines.join('\n'), skipped };
+}
+
+// Adds the words to a personal dictionary, the contents may be empty for
+// a new one. Aspell ones (.pws) have a header, created if withHeader.
+function addPersonalWords(contents, lang, newWords, withHeader = true) {
+  const headerRegExp = /^personal_ws-1\.1\s+(\S+)\s+\d+(.*)$/;
+  const lines = contents.split(/\r?\n/).filter(line => line !== '');
+  const newHeader = withHeader ? `personal_ws-1.1 ${lang} 0 utf-8` : null;
+  const header = lines.length > 0 && lines[0].match(headerRegExp) ? lines.shift() : newHeader;
+  const words = [ ...lines ];
+  newWords.forEach((word) => {
+    if (words.indexOf(word) === -1) {
+      words.push(word);
+    }
+  });
+  const headers = header ? [ header.replace(headerRegExp, `personal_ws-1.1 $1 ${words.length}$2`) ] : [];
+  return `${[ ...headers, ...words ].join('\n')}\n`;
+}
+
+module.exports = {
+  addPersonalWords,
+  applyReplacements,
+  formatMisspelling,
+  reviewMisspellings,
+};
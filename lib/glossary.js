@@ -0,0 +1,172 @@
+const yaml = require('js-yaml');
+const { escapeHtml, replaceText } = require('./html');
+
+/*
+ * Glossary files are YAML (or JSON) lists of terms:
+ *
+ *     - term: SLA
+ *       expansion: Service Level Agreement
+ *       definition: Availability the provider commits to.
+ *       lang: en_US
+ *
+ * expansion or definition is required, lang is the language of the
+ * term, if it differs from the document's.
+ */
+const entryKeys = [ 'term', 'expansion', 'definition', 'lang' ];
+const glossaryModes = [ 'first', 'all' ];
+const defaultGlossaryTitle = 'Glossary';
+// terms are not annotated within these elements
+const skipElements = [ 'a', 'abbr', 'code', 'pre', 'h1', 'h2', 'h3', 'h4', 'h5', 'h6', 'script', 'style', 'svg', 'math' ];
+
+function parseGlossary(fname, contents) {
+  let entries;
+  try {
+    entries = yaml.safeLoad(contents, { filename: fname, schema: yaml.CORE_SCHEMA });
+  } catch (exc) {
+    throw new Error(`${fname}: invalid glossary: ${exc.message}`);
+  }
+  if (!Array.isArray(entries)) {
+    throw new Error(`${fname}: glossary must be a list of terms`);
+  }
+  const seen = {};
+  return entries.map((entry, i) => {
+    const where = `${fname}: glossary entry ${i + 1}`;
+    if (!entry || typeof entry !== 'object' || Array.isArray(entry)) {
+      throw new Error(`${where}: expected term, expansion, definition and lang`);
+    }
+    const unknown = Object.keys(entry).filter(k => entryKeys.indexOf(k) === -1);
+    if (unknown.length > 0) {
+      throw new Error(`${where}: unknown ${unknown.join(', ')}, expected: ${entryKeys.join(', ')}`);
+    }
+    if (!entry.term || (!entry.expansion && !entry.definition)) {
+      throw new Error(`${where}: term and its expansion or definition are required`);
+    }
+    const term = String(entry.term);
+    if (seen[term]) {
+      throw new Error(`${where}: ${term} is already defined`);
+    }
+    seen[term] = true;
+    return {
+      term,
+      expansion: entry.expansion ? String(entry.expansion) : '',
+      definition: entry.definition ? String(entry.definition) : '',
+      lang: entry.lang ? String(entry.lang) : '',
+    };
+  });
+}
+
+function escapeRegExp(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function slugify(term) {
+  return `glossary-${term.toLowerCase().replace(/[^\w]+/g, '-')}`;
+}
+
+// lang attribute values are BCP 47 (pt-BR), aspell's are pt_BR
+function htmlLang(lang) {
+  return lang.replace('_', '-');
+}
+
+/*
+ * Finds the glossary terms in the text of the documents, annotating them
+ * as <abbr>. Used terms are remembered so the first use in the whole
+ * document is annotated (mode first) and they can be listed by
+ * genSection().
+ *
+ * options.ids (HeadingIds of md2html.js) makes the ids of the section
+ * unique within the document.
+ */
+class Glossary {
+  constructor(entries, options = {}) {
+    if (glossaryModes.indexOf(options.mode || 'first') === -1) {
+      throw new Error(`unknown glossary mode: ${options.mode}, expected one of: ${glossaryModes.join(', ')}`);
+    }
+    this.entries = {};
+    // terms as found in the HTML text (ie: R&amp;D)
+    this.escaped = {};
+    (entries || []).forEach((entry) => {
+      this.entries[entry.term] = entry;
+      this.escaped[escapeHtml(entry.term)] = entry.term;
+    });
+    this.mode = options.mode || 'first';
+    this.headingIds = options.ids || null;
+    this.ids = {};
+    this.used = {};
+    const terms = Object.keys(this.escaped).sort((a, b) => b.length - a.length);
+    this.regExp = terms.length > 0
+      ? new RegExp(`(?<![\\p{L}\\p{N}_])(?:${terms.map(escapeRegExp).join('|')})(?![\\p{L}\\p{N}_])`, 'gu')
+      : null;
+  }
+
+  renderTerm(term) {
+    const { expansion, definition, lang } = this.entries[term];
+    const title = expansion || definition;
+    return `<abbr class="glossary-term" title="${escapeHtml(title)}"${lang ? ` lang="${escapeHtml(htmlLang(lang))}"` : ''}>${escapeHtml(term)}</abbr>`;
+  }
+
+  // Annotates the terms in the text of the HTML, outside skipElements and
+  // aria-hidden ones (ie: KaTeX's HTML rendering).
+  annotate(html) {
+    if (!this.regExp) {
+      return html;
+    }
+    const skip = (name, attributes) => skipElements.indexOf(name) !== -1 || /\saria-hidden="true"/.test(attributes);
+    return replaceText(html, text => text.replace(this.regExp, (match) => {
+      const term = this.escaped[match];
+      const first = !this.used[term];
+      this.used[term] = true;
+      return first || this.mode === 'all' ? this.renderTerm(term) : match;
+    }), skip);
+  }
+
+  // Given once per term ('' for the section), which is generated for
+  // each output format.
+  getId(term, slug) {
+    if (!this.ids.hasOwnProperty(term)) {
+      this.ids[term] = this.headingIds ? this.headingIds.add(slug, '') : slug;
+    }
+    return this.ids[term];
+  }
+
+  // Lists the terms used by the document, sorted.
+  genSection(title) {
+    const terms = Object.keys(this.used).sort((a, b) => a.localeCompare(b));
+    if (terms.length === 0) {
+      return '';
+    }
+    const sectionId = this.getId('', 'glossary');
+    const items = terms.map((term) => {
+      const { expansion, definition, lang } = this.entries[term];
+      const description = [ expansion, definition ].filter(d => d).map(escapeHtml).join(': ');
+      return [
+        `<dt id="${escapeHtml(this.getId(term, slugify(term)))}"${lang ? ` lang="${escapeHtml(htmlLang(lang))}"` : ''}>${escapeHtml(term)}</dt>`,
+        `<dd>${description}</dd>`,
+      ].join('\n');
+    });
+    return [
+      `<h1 id="${escapeHtml(sectionId)}">${escapeHtml(title === true ? defaultGlossaryTitle : title)}</h1>`,
+      '<dl class="glossary">',
+      ...items,
+      '</dl>',
+    ].join('\n');
+  }
+}
+
+// Words of the glossary terms, known to the spell checkers whatever the
+// language of the text they are found in.
+function getGlossaryWords(entries) {
+  const words = [];
+  entries.forEach(({ term }) => {
+    words.push(...term.split(/[^\p{L}]+/u).filter(w => w));
+  });
+  return words;
+}
+
+module.exports = {
+  defaultGlossaryTitle,
+  getGlossaryWords,
+  Glossary,
+  glossaryModes,
+  parseGlossary,
+};
@@ -0,0 +1,70 @@
+// Helpers to handle generated HTML as text.
+
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+// Text of HTML with entities as escapeHtml() or marked produce them.
+function unescapeHtml(html) {
+  return String(html)
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0*39;/g, '\'')
+    .replace(/&amp;/g, '&');
+}
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+const codeRegExp = /(<pre\b[\s\S]*?<\/pre>|<code\b[\s\S]*?<\/code>)/i;
+
+// Applies replace(text) to the parts of the HTML outside <pre> and <code>
+function replaceOutsideCode(html, replace) {
+  return html.split(codeRegExp)
+    .map((part, i) => (i % 2 === 1 ? part : replace(part)))
+    .join('');
+}
+
+const voidElements = [ 'area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr' ];
+
+/*
+ * Applies replace(text) to the text between the tags of the HTML, leaving
+ * tags and attribute values alone, except within the elements for which
+ * skip(name, attributes) is true.
+ */
+function replaceText(html, replace, skip) {
+  const parts = html.split(/(<[^>]*>)/);
+  // elements open since the first skipped one
+  const skipped = [];
+  for (let i = 0; i < parts.length; i += 1) {
+    const tag = parts[i].match(/^<(\/?)([A-Za-z][\w-]*)([^>]*?)(\/?)>$/);
+    if (tag) {
+      const name = tag[2].toLowerCase();
+      if (tag[4] || voidElements.indexOf(name) !== -1) {
+        // no contents
+      } else if (tag[1]) {
+        skipped.pop();
+      } else if (skipped.length > 0 || skip(name, tag[3])) {
+        skipped.push(name);
+      }
+    } else if (i % 2 === 0 && skipped.length === 0) {
+      parts[i] = replace(parts[i]);
+    }
+  }
+  return parts.join('');
+}
+
+module.exports = {
+  escapeHtml,
+  replaceOutsideCode,
+  replaceText,
+  stripTags,
+  unescapeHtml,
+};
@@ -0,0 +1,99 @@
+/*
+ * Ignore rules of the spellcheck, what they leave out is counted by rule
+ * as suppressions ({ rule: count }):
+ *  - element:SELECTOR, elements matching options.ignoreElement (ie: pre,
+ *    .no-spell, span.api-name) or hidden with aria-hidden;
+ *  - pattern:NAME, tokens matching options.ignorePattern, built-in ones
+ *    (see defaultIgnorePatterns) or regular expressions, such as URLs or
+ *    identifiers split into words otherwise;
+ *  - comment:disable and comment:disable-next, parts of the document
+ *    between <!-- spellcheck-disable --> and <!-- spellcheck-enable -->
+ *    or the element after <!-- spellcheck-disable-next -->;
+ *  - comment:words, words allowed in the document by
+ *    <!-- spellcheck-words: Acme, Foobar --> anywhere in it.
+ */
+const defaultIgnorePatterns = {
+  url: /\b(?:[A-Za-z][A-Za-z\d+.-]*:\/\/|www\.)[^\s<>"']+/g,
+  email: /[\w.+-]+@[\w-]+(?:\.[\w-]+)+/g,
+  camelCase: /[\p{L}\d]*\p{Ll}\p{Lu}[\p{L}\d]*/gu,
+  snakeCase: /[\p{L}\d]+(?:_[\p{L}\d]+)+/gu,
+  version: /\bv?\d+(?:\.\d+)+[\p{L}\d.+-]*/gu,
+  hex: /\b(?=[\dA-Fa-f]*\d)(?=[\dA-Fa-f]*[A-Fa-f])[\dA-Fa-f]{6,}\b/g,
+};
+const tagNameRegExp = /^[A-Za-z][\w-]*$/;
+const commentRegExp = /^\s*spellcheck-(disable-next|disable|enable|words)(?::([\s\S]*?))?\s*$/;
+
+// Compiles the built-in pattern names and regular expressions (strings
+// or RegExp) as { name, regExp }, throws on invalid ones.
+function getIgnorePatterns(list) {
+  return (list || []).map((pattern) => {
+    if (pattern instanceof RegExp) {
+      return { name: pattern.source, regExp: new RegExp(pattern.source, pattern.flags.includes('g') ? pattern.flags : `${pattern.flags}g`) };
+    }
+    if (defaultIgnorePatterns[pattern]) {
+      return { name: pattern, regExp: defaultIgnorePatterns[pattern] };
+    }
+    try {
+      return { name: pattern, regExp: new RegExp(pattern, 'gu') };
+    } catch (exc) {
+      throw new Error(`invalid ignore pattern ${pattern}: ${exc.message}`);
+    }
+  });
+}
+
+// Ranges of the text matched by the patterns, as { name, start, end }.
+function findIgnoredRanges(text, patterns) {
+  const ranges = [];
+  patterns.forEach(({ name, regExp }) => {
+    for (const match of text.matchAll(regExp)) {
+      if (match[0]) {
+        ranges.push({ name, start: match.index, end: match.index + match[0].length });
+      }
+    }
+  });
+  return ranges;
+}
+
+// Tag names are compared as such, other selectors need the document.
+function matchesSelector(doc, node, selector) {
+  return tagNameRegExp.test(selector) ? node.name === selector.toLowerCase() : doc(node).is(selector);
+}
+
+// Returns { type, words } of a spellcheck-* comment, null for others.
+function parseSuppressionComment(data) {
+  const match = data.match(commentRegExp);
+  if (!match) {
+    return null;
+  }
+  return { type: match[1], words: (match[2] || '').split(/[\s,]+/).filter(word => !!word) };
+}
+
+// Words of all the spellcheck-words comments of the document.
+function getDocumentWords(node) {
+  const words = new Set();
+  const walk = (el) => {
+    if (el.type === 'comment') {
+      const comment = parseSuppressionComment(el.data);
+      if (comment && comment.type === 'words') {
+        comment.words.forEach(word => words.add(word));
+      }
+    }
+    (el.children || []).forEach(walk);
+  };
+  walk(node);
+  return words;
+}
+
+function countSuppression(suppressions, rule) {
+  suppressions[rule] = (suppressions[rule] || 0) + 1;
+}
+
+module.exports = {
+  countSuppression,
+  defaultIgnorePatterns,
+  findIgnoredRanges,
+  getDocumentWords,
+  getIgnorePatterns,
+  matchesSelector,
+  parseSuppressionComment,
+};
@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+
+const schemeRegExp = /^[a-z][a-z0-9+.-]*:/i;
+const fenceRegExp = /^ *(`{3,}|~{3,})/;
+const inlineLinkRegExp = /(!?)\[(?:[^[\]]|\[[^\]]*\])*\]\(\s*<?([^\s)>]*)>?(?:\s+(?:"[^"]*"|'[^']*'|\([^)]*\)))?\s*\)/g;
+// footnote definitions ([^label]: text) aren't links
+const referenceRegExp = /^ {0,3}\[(?!\^)[^\]]+\]:\s*<?([^\s>]+)>?/;
+const autoLinkRegExp = /<((?:[a-z][a-z0-9+.-]*:|[^\s<>@]+@)[^\s<>]*)>/gi;
+const htmlLinkRegExp = /<(?:a|img)\b[^>]*\s(?:href|src)="([^"]*)"/gi;
+const mailtoRegExp = /^[^@\s,;]+@[^@\s,;]+\.[^@\s,;.]+$/;
+
+function splitHref(href) {
+  const idx = href.indexOf('#');
+  if (idx === -1) {
+    return { file: href, fragment: '' };
+  }
+  return { file: href.slice(0, idx), fragment: href.slice(idx + 1) };
+}
+
+function isExternal(href) {
+  return schemeRegExp.test(href) || href.startsWith('//');
+}
+
+function decode(str) {
+  try {
+    return decodeURIComponent(str);
+  } catch (exc) {
+    return str;
+  }
+}
+
+// Links to other documents (doc.md#slug) are rewritten to their output
+// (doc.html#slug).
+function rewriteMdLinks(html) {
+  return html.replace(/(<a [^>]*href=")([^"#]*)[.]md((?:#[^"]*)?")/g, (match, before, file, after) => {
+    if (isExternal(file) || file.startsWith('/')) {
+      return match;
+    }
+    return `${before}${file}.html${after}`;
+  });
+}
+
+/*
+ * Links and images of the Markdown source: { href, line }. Code blocks and
+ * spans are skipped, firstLine is the line the source starts at in the
+ * file (after the front matter).
+ */
+function extractLinks(source, firstLine = 1) {
+  const links = [];
+  const lines = source.split('\n');
+  let closing = null;
+  for (let i = 0; i < lines.length; i += 1) {
+    const fence = lines[i].match(fenceRegExp);
+    if (closing) {
+      if (fence && lines[i].trim() === closing) {
+        closing = null;
+      }
+      continue;
+    } else if (fence) {
+      closing = fence[1];
+      continue;
+    }
+
+    const line = firstLine + i;
+    const text = lines[i].replace(/(`+)[\s\S]*?\1/g, '');
+    const add = (href) => {
+      if (href) {
+        links.push({ href, line });
+      }
+    };
+    const reference = text.match(referenceRegExp);
+    if (reference) {
+      add(reference[1]);
+      continue;
+    }
+    [ inlineLinkRegExp, autoLinkRegExp, htmlLinkRegExp ].forEach((regExp) => {
+      let match;
+      regExp.lastIndex = 0;
+      while ((match = regExp.exec(text)) !== null) {
+        add(regExp === inlineLinkRegExp ? match[2] : match[1]);
+      }
+    });
+  }
+  return links;
+}
+
+// Ids of the elements of the generated HTML, used as anchors.
+function getHtmlIds(html) {
+  const ids = {};
+  const regExp = /\sid="([^"]*)"/g;
+  let match;
+  while ((match = regExp.exec(html)) !== null) {
+    ids[match[1]] = true;
+  }
+  return ids;
+}
+
+function checkMailto(href) {
+  const addresses = href.replace(/^mailto:/i, '').split('?')[0];
+  if (!addresses) {
+    return 'no address';
+  }
+  const invalid = decode(addresses).split(',').map(a => a.trim()).filter(a => !mailtoRegExp.test(a));
+  return invalid.length > 0 ? `invalid address ${invalid.join(', ')}` : null;
+}
+
+// Returns the reason the link is broken or null.
+function checkLink(doc, href, docs, options) {
+  if (/^mailto:/i.test(href) || (!schemeRegExp.test(href) && href.indexOf('@') !== -1 && href.indexOf('/') === -1)) {
+    return options.checkMailto ? checkMailto(href) : null;
+  }
+  if (isExternal(href) || href.startsWith('/')) {
+    return null;
+  }
+
+  const { file, fragment } = splitHref(href);
+  let target = doc;
+  if (file) {
+    const fname = path.resolve(path.dirname(doc.fname), decode(file));
+    if (!fname.endsWith('.md')) {
+      return fs.existsSync(fname) ? null : 'no such file';
+    }
+    target = docs[fname];
+    if (!target) {
+      return fs.existsSync(fname) ? 'document is not being built' : 'no such document';
+    }
+  }
+  if (fragment && target.ids && !target.ids[decode(fragment)]) {
+    return `no such anchor in ${target === doc ? 'this document' : file}`;
+  }
+  return null;
+}
+
+/*
+ * Checks the links of the documents: [{ fname, source, ids, firstLine }],
+ * where ids are the anchors of the generated HTML (see getHtmlIds()) and
+ * source is the Markdown without front matter. Returns the broken links:
+ * [{ fname, line, href, message }].
+ *
+ * Options:
+ *  - checkMailto: check the syntax of mailto: links and e-mail
+ *    autolinks.
+ */
+function checkLinks(docs, options = {}) {
+  const byName = {};
+  docs.forEach((doc) => {
+    byName[path.resolve(doc.fname)] = doc;
+  });
+  const broken = [];
+  docs.forEach((doc) => {
+    extractLinks(doc.source, doc.firstLine).forEach(({ href, line }) => {
+      const message = checkLink(doc, href, byName, options);
+      if (message) {
+        broken.push({ fname: doc.fname, line, href, message });
+      }
+    });
+  });
+  return broken;
+}
+
+module.exports = {
+  checkLinks,
+  extractLinks,
+  getHtmlIds,
+  isExternal,
+  rewriteMdLinks,
+  splitHref,
+};
@@ -0,0 +1,186 @@
+const fs = require('fs');
+const path = require('path');
+const katex = require('katex');
+const { rewriteCssAssets } = require('./assets');
+const { escapeHtml } = require('./html');
+
+/*
+ * TeX math rendered by KaTeX at build time:
+ *  - inline: $E = mc^2$, the $ must not be followed (opening) or
+ *    preceded (closing) by spaces, nor the closing one followed by a
+ *    digit, so prices ($5 and $10) are left as-is. \$ is a literal $;
+ *  - display: $$...$$, possibly spanning lines if it starts a line;
+ *  - fenced code blocks with the math language (see renderer.code).
+ *
+ * Math is replaced by HTML comments (placeholders) before marked runs,
+ * so it doesn't convert TeX as Markdown, then by the rendered HTML. See
+ * extractMath() and restoreMath().
+ */
+const mathOutputs = [ 'html', 'mathml', 'none' ];
+const mathCssFile = require.resolve('katex/dist/katex.css');
+// shown in place of invalid TeX
+const mathErrorCss = `
+.math-error {
+    border: 1px solid #cc0000;
+    background-color: #fff0f0;
+    color: #cc0000;
+    font-family: monospace;
+    white-space: pre-wrap;
+    padding: 0 2pt;
+}
+div.math-error {
+    padding: 5pt;
+}
+`;
+
+const fenceRegExp = /^ *(`{3,}|~{3,})/;
+const displayOpenRegExp = /^ {0,3}\$\$(.*)$/;
+const inlineRegExp = /\\\$|\$\$((?:\\.|[^$\\])+?)\$\$|\$(?![\s$])((?:\\.|[^$\\])+?)(?<!\s)\$(?!\d)/g;
+const codeSpanRegExp = /(`+)[\s\S]*?\1/g;
+const placeholderRegExp = /<!--md2html:math:(\d+)-->|&lt;!--md2html:math:(\d+)--&gt;/g;
+
+/*
+ * KaTeX CSS, its fonts are resolved as the --css ones if assets (see
+ * assets.js) is given. Only woff2 fonts are kept, all browsers able to
+ * render the rest of the document support them.
+ */
+function loadMathCss(assets) {
+  const css = fs.readFileSync(mathCssFile, { encoding: 'utf8' })
+    .replace(/,\s*url\([^)]*\)\s*format\("(?:woff|truetype)"\)/g, '')
+    .concat(mathErrorCss);
+  if (!assets) {
+    return css;
+  }
+  const ret = rewriteCssAssets(css, path.dirname(mathCssFile), assets, mathCssFile);
+  assets.check();
+  return ret;
+}
+
+// Applies replace(text) to the line outside code spans.
+function replaceOutsideCodeSpans(line, replace) {
+  let ret = '';
+  let last = 0;
+  let match;
+  codeSpanRegExp.lastIndex = 0;
+  while ((match = codeSpanRegExp.exec(line)) !== null) {
+    ret += replace(line.slice(last, match.index)) + match[0];
+    last = codeSpanRegExp.lastIndex;
+  }
+  return ret + replace(line.slice(last));
+}
+
+function placeholder(maths, entry) {
+  maths.push(entry);
+  return `<!--md2html:math:${maths.length - 1}-->`;
+}
+
+/*
+ * Replaces the math of the source by placeholders, returns { source,
+ * maths } where maths are { tex, display, line, source } or
+ * { text, source } for escaped dollars. The source must have its fenced code blocks extracted
+ * (see fences.js), lines are kept so line numbers still match.
+ */
+function extractMath(source, firstLine) {
+  const lines = source.split('\n');
+  const maths = [];
+  let closing = null;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const fence = line.match(fenceRegExp);
+    if (closing || fence) {
+      if (!closing) {
+        closing = fence[1];
+      } else if (line.trim() === closing) {
+        closing = null;
+      }
+      continue;
+    }
+
+    const display = line.match(displayOpenRegExp);
+    if (display && display[1].indexOf('$$') === -1) {
+      // $$ on its own lines, up to the line ending with $$
+      let end = i + 1;
+      while (end < lines.length && !/\$\$\s*$/.test(lines[end])) {
+        end += 1;
+      }
+      if (end < lines.length) {
+        const tex = [ display[1], ...lines.slice(i + 1, end), lines[end].replace(/\$\$\s*$/, '') ].join('\n');
+        lines[i] = placeholder(maths, { tex: tex.trim(), display: true, line: firstLine + i, source: lines.slice(i, end + 1).join('\n') });
+        for (let j = i + 1; j <= end; j += 1) {
+          lines[j] = '';
+        }
+        i = end;
+        continue;
+      }
+    }
+
+    lines[i] = replaceOutsideCodeSpans(line, text => text.replace(inlineRegExp, (match, displayTex, inlineTex) => {
+      if (match === '\\$') {
+        return placeholder(maths, { text: '$', source: match });
+      }
+      const tex = displayTex !== undefined ? displayTex : inlineTex;
+      return placeholder(maths, { tex, display: displayTex !== undefined, line: firstLine + i, source: match });
+    }));
+  }
+  return { source: lines.join('\n'), maths };
+}
+
+/*
+ * Renders the TeX, invalid TeX is reported and shown in a box with the
+ * error as title. Options:
+ *  - math: html (HTML and MathML, the default) or mathml;
+ *  - macros: shared by all the calls, so \gdef works across formulas.
+ */
+function renderMath(tex, display, context) {
+  const { chapter, line, options, reportError } = context;
+  try {
+    return katex.renderToString(tex, {
+      displayMode: display,
+      output: options.math === 'mathml' ? 'mathml' : 'htmlAndMathml',
+      throwOnError: true,
+      macros: options.macros,
+    });
+  } catch (exc) {
+    if (!(exc instanceof katex.ParseError)) {
+      throw exc;
+    }
+    const message = exc.rawMessage || exc.message;
+    reportError(`${chapter}:${line}: invalid TeX: ${message}`);
+    const tag = display ? 'div' : 'span';
+    return `<${tag} class="math-error" title="${escapeHtml(message)}">${escapeHtml(tex)}</${tag}>`;
+  }
+}
+
+// Replaces the placeholders of extractMath() in the generated HTML, the
+// escaped ones are within code and get their source back.
+function restoreMath(html, maths, context) {
+  return html.replace(placeholderRegExp, (match, index, codeIndex) => {
+    if (codeIndex !== undefined) {
+      return escapeHtml(maths[parseInt(codeIndex, 10)].source);
+    }
+    const entry = maths[parseInt(index, 10)];
+    if (entry.text !== undefined) {
+      return escapeHtml(entry.text);
+    }
+    return renderMath(entry.tex, entry.display, { ...context, line: entry.line });
+  });
+}
+
+// The text with the placeholders of extractMath() back as their source,
+// ie: for heading ids that don't depend on the math found before and
+// are the same with --math none.
+function replaceMathSource(text, maths) {
+  return text.replace(placeholderRegExp, (match, index, codeIndex) => (
+    maths[parseInt(index !== undefined ? index : codeIndex, 10)].source
+  ));
+}
+
+module.exports = {
+  extractMath,
+  loadMathCss,
+  mathCssFile,
+  mathOutputs,
+  renderMath,
+  replaceMathSource,
+  restoreMath,
+};
@@ -0,0 +1,949 @@
+const fs = require('fs');
+const path = require('path');
+const hljs = require('highlight.js');
+const yaml = require('js-yaml');
+const marked = require('marked');
+const mustache = require('mustache');
+const { AssetReferences, rewriteCssAssets, rewriteHtmlAssets } = require('./assets');
+const { parseAttributes, splitTrailingAttributes } = require('./attributes');
+const { extractBlocks, footnoteIdRegExp, Footnotes, restoreBlocks } = require('./dialect');
+const { getDiagramRenderer, renderDiagram, setSvgAttributes } = require('./diagrams');
+const { genEpub } = require('./epub');
+const { extractFences, getFence, restoreFences } = require('./fences');
+const { Glossary } = require('./glossary');
+const { escapeHtml, replaceOutsideCode, unescapeHtml } = require('./html');
+const { extractMath, loadMathCss, renderMath, replaceMathSource, restoreMath } = require('./math');
+const { addReplacements, applyInline, applyRenderers, runPostprocess, runPreprocess } = require('./plugins');
+const { isExternal, rewriteMdLinks, splitHref } = require('./links');
+const { insertSourceLine, markSourceLines, restoreSourceLines, splitSourceLine } = require('./sourcelines');
+const { genToc, insertChapterTocs } = require('./toc');
+const { CrossReferences, getLabelKind } = require('./xref');
+
+const defaultHighlightTheme = 'github';
+// the skeleton of the HTML document, see renderLayout()
+const defaultLayoutFile = path.join(__dirname, 'layouts', 'default.html');
+
+// YAML block delimited by '---' lines at the very top of the document,
+// it may be closed with '...' as well.
+const frontMatterRegExp = /^---[ \t]*\r?\n(?:([\s\S]*?)\r?\n)?(?:---|\.\.\.)[ \t]*(?:\r?\n|$)/;
+// Front matter keys that change how the document is built, these are not
+// exposed as Mustache replacements.
+const frontMatterOptions = {
+  'css': 'css',
+  'toc': 'toc',
+  'toc-min-depth': 'tocMinDepth',
+  'toc-max-depth': 'tocMaxDepth',
+  'chapter-toc': 'chapterToc',
+  'number-sections': 'numberSections',
+  'footnotes': 'footnotes',
+  'math': 'math',
+  'glossary-mode': 'glossaryMode',
+  'glossary-section': 'glossarySection',
+  'lof': 'lof',
+  'lot': 'lot',
+  'highlight-theme': 'highlightTheme',
+  'highlightTheme': 'highlightTheme',
+};
+const metaTagNames = [ 'author', 'date', 'description', 'keywords' ];
+// tags that end or start blocks, spans can't contain them
+const spanBlockRegExp = /<\/?(?:p|div|h[1-6]|li|ul|ol|dl|dt|dd|table|tr|t[dh]|blockquote|figure)\b/;
+
+const hljsStylesDir = path.join(require.resolve('highlight.js'), '../../styles');
+const hljsThemes = fs.readdirSync(hljsStylesDir)
+      .filter(fname => fname.endsWith('.css'))
+      .map(fname => path.basename(fname, '.css'))
+      .sort();
+
+function loadFile(fname) {
+  if (!fname) {
+    return '';
+  }
+  return fs.readFileSync(fname, { encoding: 'utf8' });
+}
+
+// Themes are loaded once, they are the same for all documents.
+const highlightThemes = {};
+function loadHighlightTheme(theme) {
+  if (highlightThemes[theme] === undefined) {
+    const fname = path.isAbsolute(theme) ? theme : `${hljsStylesDir}/${theme}.css`;
+    highlightThemes[theme] = loadFile(fname);
+  }
+  return highlightThemes[theme];
+}
+
+function fname2title(fname) {
+  return fname
+    .replace(/[.]md$/, '')
+    .replace(/[^A-Za-z0-9]/g, ' ')
+    .replace(/\s+/g, ' ');
+}
+
+function parseFrontMatter(fname, mdContents) {
+  const match = mdContents.match(frontMatterRegExp);
+  if (!match) {
+    return { metadata: {}, body: mdContents, firstLine: 1 };
+  }
+
+  let metadata;
+  try {
+    // CORE_SCHEMA keeps dates as strings, they are passed as-is like --date
+    metadata = yaml.safeLoad(match[1] || '', { filename: fname, schema: yaml.CORE_SCHEMA }) || {};
+  } catch (exc) {
+    throw new Error(`${fname}: invalid YAML front matter: ${exc.message}`);
+  }
+  if (typeof metadata !== 'object' || Array.isArray(metadata)) {
+    throw new Error(`${fname}: YAML front matter must be a mapping (key: value), got: ${match[1]}`);
+  }
+
+  return {
+    metadata,
+    body: mdContents.slice(match[0].length),
+    firstLine: match[0].split('\n').length,
+  };
+}
+
+function splitFrontMatter(metadata) {
+  const vars = {};
+  const docOptions = {};
+  for (const k in metadata) {
+    if (metadata.hasOwnProperty(k)) {
+      const optionName = frontMatterOptions[k];
+      if (optionName) {
+        docOptions[optionName] = metadata[k];
+      } else {
+        vars[k] = metadata[k];
+      }
+    }
+  }
+  return { vars, docOptions };
+}
+
+function getDocumentOptions(fname, docOptions, options) {
+  const ret = { ...options };
+  [ 'toc', 'tocMinDepth', 'tocMaxDepth', 'chapterToc', 'numberSections', 'footnotes', 'math', 'glossaryMode', 'glossarySection', 'lof', 'lot' ].forEach((name) => {
+    if (docOptions[name] !== undefined) {
+      ret[name] = docOptions[name];
+    }
+  });
+  if (docOptions.highlightTheme !== undefined) {
+    const theme = docOptions.highlightTheme;
+    if (!path.isAbsolute(theme) && hljsThemes.indexOf(theme) === -1) {
+      throw new Error(`${fname}: unknown highlight-theme: ${theme}. Use one of: ${hljsThemes.join(', ')}`);
+    }
+    ret.highlightTheme = theme;
+  }
+  if (docOptions.css) {
+    // paths are relative to the document, appended to the global CSS
+    const dirname = path.dirname(fname);
+    const cssFiles = [].concat(docOptions.css).map(f => path.resolve(dirname, f));
+    const css = cssFiles.map((f) => {
+      const contents = (options.loadFile || loadFile)(f);
+      return options.assets ? rewriteCssAssets(contents, path.dirname(f), options.assets, f) : contents;
+    });
+    ret.css = [ options.css ].concat(css).join('\n');
+  }
+  return ret;
+}
+
+function genMetaTags(replacements) {
+  return metaTagNames
+    .filter(name => replacements[name])
+    .map((name) => {
+      const value = [].concat(replacements[name]).join(', ');
+      return `<meta name="${name}" content="${escapeHtml(value)}" />`;
+    })
+    .join('\n');
+}
+
+// ids of the generated ToC, List of Figures and Tables, the Glossary
+// ones are added by it
+const reservedIds = [ 'toc', 'lof', 'lot' ];
+
+function uniqueId(slug, used) {
+  let id = slug;
+  for (let n = 1; used[id]; n += 1) {
+    id = `${slug}-${n}`;
+  }
+  used[id] = true;
+  return id;
+}
+
+class HeadingIds {
+  constructor() {
+    this.used = {};
+    reservedIds.forEach((id) => {
+      this.used[id] = true;
+    });
+    this.chapters = {};
+  }
+
+  // Returns an id unique within the whole output document. The id the
+  // chapter alone would give (slug, slug-1...) is remembered, so links
+  // written against the single document (chapter.md#slug-1) can be
+  // resolved.
+  add(slug, chapter) {
+    const id = uniqueId(slug, this.used);
+    if (!this.chapters[chapter]) {
+      this.chapters[chapter] = { used: {}, anchors: {} };
+      reservedIds.forEach((reserved) => {
+        this.chapters[chapter].used[reserved] = true;
+      });
+    }
+    const { used, anchors } = this.chapters[chapter];
+    anchors[uniqueId(slug, used)] = id;
+    return id;
+  }
+
+  resolve(chapter, slug) {
+    return this.chapters[chapter] && this.chapters[chapter].anchors[slug];
+  }
+}
+
+function slugify(text) {
+  // same as marked's default header ids
+  return text.toLowerCase().replace(/[^\w]+/g, '-');
+}
+
+function defaultReportError(message) {
+  console.error(`ERROR: ${message}`);
+}
+
+function createHighlight(reportError) {
+  return function (code, lang) {
+    try {
+      return hljs.highlight(lang, code).value;
+    } catch (exc) {
+      reportError(`failed to highlight using ${lang}: ${exc}. Try 'auto'.`);
+      return hljs.highlightAuto(code).value;
+    }
+  };
+}
+
+function getAttributesHtml(attributes, skip = []) {
+  if (!attributes) {
+    return '';
+  }
+  const attrs = { ...attributes.attrs };
+  if (attributes.classes.length > 0) {
+    attrs.class = attributes.classes.join(' ');
+  }
+  // lang=pt_BR as the HTML language tag (pt-BR)
+  if (attrs.lang) {
+    attrs.lang = attrs.lang.replace(/_/g, '-');
+  }
+  return Object.keys(attrs)
+    .filter(name => skip.indexOf(name) === -1)
+    .map(name => ` ${name}="${escapeHtml(attrs[name])}"`)
+    .join('');
+}
+
+function getCaptionHtml(entry, caption) {
+  if (!entry) {
+    return caption;
+  }
+  const title = CrossReferences.title(entry);
+  return `<span class="caption-label">${title}${caption ? ':' : ''}</span>${caption ? ' ' + caption : ''}`;
+}
+
+// Standalone image followed by attributes: ![Caption](img.png){#fig:label}
+function renderFigure(img, attributes, context) {
+  const { xrefs, chapter } = context;
+  const altMatch = img.match(/\salt="([^"]*)"/);
+  const caption = altMatch ? altMatch[1] : '';
+  const imgHtml = img.replace(/\s*\/?>$/, `${getAttributesHtml(attributes)}>`);
+  if (!attributes.id) {
+    return `<p>${imgHtml}</p>\n`;
+  }
+
+  const entry = xrefs.add(attributes.id, caption, chapter);
+  return [
+    `<figure class="figure" id="${escapeHtml(attributes.id)}">`,
+    imgHtml,
+    `<figcaption>${getCaptionHtml(entry, caption)}</figcaption>`,
+    '</figure>',
+    '',
+  ].join('\n');
+}
+
+// Table caption, after the table: "Table: Caption {#tbl:label}"
+function renderTableCaption(text, context) {
+  const { xrefs, chapter } = context;
+  const { text: caption, attributes } = splitTrailingAttributes(text);
+  const id = attributes && attributes.id;
+  const entry = id ? xrefs.add(id, caption, chapter) : null;
+  return `<p class="table-caption"${id ? ` data-table-id="${escapeHtml(id)}"` : ''}>${getCaptionHtml(entry, caption)}</p>\n`;
+}
+
+// Moves the table captions into the preceding <table>
+function attachTableCaptions(html) {
+  return html.replace(
+      /<table>\n((?:(?!<\/table>)[\s\S])*<\/table>)\n<p class="table-caption"(?: data-table-id="([^"]*)")?>([\s\S]*?)<\/p>\n/g,
+    (match, table, id, caption) => `<table${id ? ` id="${id}"` : ''}>\n<caption>${caption}</caption>\n${table}\n`);
+}
+
+// Spans with attributes: [texto]{lang=pt_BR} or [text]{.class}, marked
+// leaves them as text since they are not links. Spans don't cross blocks,
+// nested ones are replaced from the innermost.
+function renderSpans(html) {
+  const replaceSpans = text => text.replace(/\[([^[\]]*)\]\{([^{}]*)\}/g, (match, contents, braces) => {
+    const attributes = parseAttributes(unescapeHtml(braces));
+    if (!attributes || spanBlockRegExp.test(contents)) {
+      return match;
+    }
+    return `<span${attributes.id ? ` id="${escapeHtml(attributes.id)}"` : ''}${getAttributesHtml(attributes)}>${contents}</span>`;
+  });
+  return replaceOutsideCode(html, (text) => {
+    let previous;
+    let ret = text;
+    do {
+      previous = ret;
+      ret = replaceSpans(previous);
+    } while (ret !== previous);
+    return ret;
+  });
+}
+
+// Code blocks with a label or caption: ```js {#lst:label caption="Text"}
+function renderListing(html, fence, context) {
+  const { xrefs, chapter } = context;
+  const { id, attrs } = fence.attributes;
+  const caption = attrs.caption ? escapeHtml(attrs.caption) : '';
+  const entry = id ? xrefs.add(id, caption, `${chapter}:${fence.line}`) : null;
+  return [
+    `<figure class="listing"${id ? ` id="${escapeHtml(id)}"` : ''}>`,
+    `<figcaption>${getCaptionHtml(entry, caption)}</figcaption>`,
+    html.replace(/\n$/, ''),
+    '</figure>',
+    '',
+  ].join('\n');
+}
+
+// Fenced code blocks of diagram languages: ```dot {#fig:label caption="Text"}
+// Returns null if the diagram could not be rendered, the error fails the
+// document (see checkDiagrams()).
+function renderDiagramFigure(renderer, code, fence, context) {
+  const { xrefs, chapter, options } = context;
+  const attributes = fence.attributes || { id: null, classes: [], attrs: {} };
+  const { id, classes, attrs } = attributes;
+  let svg;
+  try {
+    svg = renderDiagram(renderer, code, options);
+  } catch (exc) {
+    context.diagramErrors.push(`failed to render ${fence.lang} diagram at ${chapter}:${fence.line}: ${exc.message}`);
+    return null;
+  }
+
+  const svgAttrs = {};
+  if (attrs.width) {
+    svgAttrs.width = attrs.width;
+    svgAttrs.height = attrs.height || null;
+  } else if (attrs.height) {
+    svgAttrs.width = null;
+    svgAttrs.height = attrs.height;
+  }
+  if (attrs.alt) {
+    svgAttrs.role = 'img';
+    svgAttrs['aria-label'] = attrs.alt;
+  }
+  svg = setSvgAttributes(svg, svgAttrs);
+
+  const caption = attrs.caption ? escapeHtml(attrs.caption) : '';
+  const entry = id ? xrefs.add(id, caption, `${chapter}:${fence.line}`) : null;
+  const figureClass = [ 'diagram', `diagram-${renderer.name}` ].concat(classes).join(' ');
+  return [
+    `<figure class="${escapeHtml(figureClass)}"${id ? ` id="${escapeHtml(id)}"` : ''}>`,
+    svg,
+    ...(caption || entry ? [ `<figcaption>${getCaptionHtml(entry, caption)}</figcaption>` ] : []),
+    '</figure>',
+    '',
+  ].join('\n');
+}
+
+/*
+ * Context is shared by all the renderers of a document:
+ *  - headingIds: HeadingIds;
+ *  - xrefs: CrossReferences;
+ *  - chapter: file being rendered;
+ *  - fences: information about the fenced code blocks (see fences.js);
+ *  - maths: the math replaced by placeholders (see math.js);
+ *  - options: document options.
+ */
+function createRenderer(context) {
+  const { headingIds, xrefs, chapter, fences, maths, options } = context;
+  const renderer = new marked.Renderer();
+  renderer.heading = function (headingText, level, headingRaw) {
+    // with options.sourceLines, the marker is kept out of the id and title
+    const { marker, text } = splitSourceLine(headingText);
+    const raw = splitSourceLine(headingRaw).text;
+    const { text: title, attributes } = splitTrailingAttributes(text);
+    const numbered = !(attributes && attributes.classes.indexOf('unnumbered') !== -1);
+    const number = xrefs.heading(level, numbered);
+    let contents = title;
+    if (options.numberSections && number) {
+      contents = `<span class="section-number">${number}</span> ${title}`;
+    }
+    let id;
+    if (attributes && attributes.id) {
+      id = headingIds.add(attributes.id, chapter);
+      if (getLabelKind(attributes.id)) {
+        xrefs.add(attributes.id, title, chapter, number);
+      }
+    } else {
+      id = headingIds.add(this.options.headerPrefix + slugify(replaceMathSource(splitTrailingAttributes(raw).text, maths)), chapter);
+    }
+    return `<h${level} id="${escapeHtml(id)}"${getAttributesHtml(attributes)}>${marker}${contents}</h${level}>\n`;
+  };
+  renderer.paragraph = function (paragraphText) {
+    const { marker, text } = splitSourceLine(paragraphText);
+    const figure = text.match(/^(<img\b[^>]*>)\s*\{([^{}]*)\}\s*$/);
+    const attributes = figure && parseAttributes(figure[2]);
+    if (attributes) {
+      return insertSourceLine(renderFigure(figure[1], attributes, context), marker);
+    }
+    const tableCaption = text.match(/^Table:\s*([\s\S]*)$/);
+    if (tableCaption) {
+      return insertSourceLine(renderTableCaption(tableCaption[1], context), marker);
+    }
+    return marked.Renderer.prototype.paragraph.call(this, paragraphText);
+  };
+  renderer.code = function (text, lang, escaped) {
+    const code = restoreFences(text, fences);
+    const fence = getFence(fences, lang);
+    if (fence.lang === 'math' && options.math !== 'none') {
+      context.math.used = true;
+      return `${renderMath(code, true, getMathContext(context, fence.line))}\n`;
+    }
+    const diagram = getDiagramRenderer(fence.lang, options);
+    if (diagram) {
+      // failed diagrams are kept as plain text, not highlighted
+      return renderDiagramFigure(diagram, code, fence, context) || `<pre><code>${escapeHtml(code)}\n</code></pre>\n`;
+    }
+    const html = marked.Renderer.prototype.code.call(this, code, fence.lang, escaped);
+    const { attributes } = fence;
+    if (attributes && (attributes.id || attributes.attrs.caption)) {
+      return renderListing(html, fence, context);
+    }
+    return html;
+  };
+  // plugins get the actual language and the attributes of code blocks
+  return applyRenderers(renderer, options.plugins, (method, args) => {
+    if (method !== 'code') {
+      return args;
+    }
+    const fence = getFence(fences, args[1]);
+    return [ restoreFences(args[0], fences), fence.lang, args[2], fence.attributes ];
+  });
+}
+
+function getMathContext(context, line) {
+  const { chapter, math, options } = context;
+  return {
+    chapter,
+    line,
+    options: { math: options.math, macros: math.macros },
+    reportError: options.reportError || defaultReportError,
+  };
+}
+
+// State shared by all the chapters of a document.
+function createDocumentState(options) {
+  const headingIds = new HeadingIds();
+  return {
+    headingIds,
+    xrefs: new CrossReferences({
+      numbering: options.xrefNumbering,
+      names: options.xrefNames,
+    }),
+    footnotes: new Footnotes(options.footnotes),
+    // macros defined by \gdef are kept for the following formulas
+    math: { used: false, macros: {} },
+    glossary: new Glossary(options.glossary, { mode: options.glossaryMode, ids: headingIds }),
+    diagramErrors: [],
+  };
+}
+
+function checkDiagrams(state) {
+  if (state.diagramErrors.length > 0) {
+    throw new Error(`diagram errors:\n${state.diagramErrors.join('\n')}`);
+  }
+}
+
+// Converts the Markdown body of a chapter (without front matter), firstLine
+// is the line the body starts at in the file.
+function renderBody(body, chapter, firstLine, state, options) {
+  const reportError = options.reportError || defaultReportError;
+  const preprocessed = runPreprocess(options.plugins, body, { fname: chapter, options });
+  const { source, fences } = extractFences(preprocessed, firstLine);
+  const math = options.math === 'none' ? { source, maths: [] } : extractMath(source, firstLine);
+  const lined = options.sourceLines ? markSourceLines(math.source, firstLine) : math.source;
+  const blocks = extractBlocks(lined, firstLine, { chapter, options, reportError });
+  const context = { ...state, chapter, fences, maths: math.maths, options };
+  const renderer = createRenderer(context);
+  if (math.maths.some(entry => entry.tex !== undefined)) {
+    state.math.used = true;
+  }
+  const convert = (markdown) => {
+    let html;
+    try {
+      html = marked(markdown, { renderer, highlight: createHighlight(reportError) });
+    } catch (exc) {
+      // marked blames itself for errors thrown by the renderers
+      exc.message = exc.message.replace(/\nPlease report this to https:\/\/github.com\/markedjs\/marked.$/, '');
+      throw exc;
+    }
+    html = restoreBlocks(restoreMath(html, math.maths, getMathContext(context)), blocks.blocks);
+    html = attachTableCaptions(applyInline(options.plugins, renderSpans(html)));
+    if (options.sourceLines) {
+      html = restoreSourceLines(html, chapter);
+    }
+    return resolveAssets(html, path.dirname(chapter), options, chapter);
+  };
+  const html = convert(blocks.source);
+  // footnotes are converted on their own, then placed according to
+  // options.footnotes (see dialect.js)
+  const definitions = {};
+  Object.keys(blocks.footnotes).forEach((label) => {
+    const { source: markdown, line } = blocks.footnotes[label];
+    definitions[label] = { html: convert(markdown), line };
+  });
+  const ret = state.glossary.annotate(state.footnotes.resolveChapter(html, definitions, chapter, reportError));
+  // footnotes still to be listed come after the chapter's text
+  state.footnotes.mapPending(chapter, notes => state.glossary.annotate(notes));
+  return ret;
+}
+
+// Files listed in the front matter (relative to fname) that are used to
+// build the document.
+function getFrontMatterDependencies(fname, source) {
+  const { metadata } = parseFrontMatter(fname, source);
+  const { docOptions } = splitFrontMatter(metadata);
+  const dirname = path.dirname(fname);
+  return docOptions.css ? [].concat(docOptions.css).map(f => path.resolve(dirname, f)) : [];
+}
+
+function getReplacements(fname, options, vars) {
+  // precedence: front matter > --var > --title/--author/--date > filename
+  return {
+    title: options.title || fname2title(fname),
+    author: options.author,
+    date: options.date,
+    ...options.vars,
+    ...vars,
+  };
+}
+
+// Resolve assets of the generated HTML, relative to the given directory.
+function resolveAssets(html, dirname, options, context) {
+  if (!options.assets) {
+    return html;
+  }
+  return rewriteHtmlAssets(html, dirname, options.assets, context);
+}
+
+function renderPage(template, replacements, options, dirname) {
+  const html = mustache.render(template || '', replacements, options.partials);
+  return resolveAssets(html, dirname || '.', options, 'page template');
+}
+
+// Generated parts are only placed after the layout is rendered, so
+// assets are resolved once and relative to the layout.
+function renderLayout(template, replacements, parts, options) {
+  const placeholders = {};
+  Object.keys(parts).forEach((name) => {
+    placeholders[name] = parts[name] ? `<!--md2html:${name}-->` : '';
+  });
+  const html = mustache.render(template, { ...replacements, ...placeholders }, options.partials);
+  return resolveAssets(html, options.layoutDir || '.', options, 'layout')
+    .replace(/<!--md2html:(\w+)-->/g, (match, name) => (parts.hasOwnProperty(name) ? parts[name] : match));
+}
+
+let defaultLayout = null;
+// KaTeX CSS is only included by documents with math, its fonts are added
+// to their own assets so that other documents don't copy or pack them.
+// options.mathCss replaces it.
+function getDocumentMathCss(options, state) {
+  if (!state || !state.math.used || options.math === 'mathml') {
+    return '';
+  }
+  return options.mathCss !== undefined ? options.mathCss : loadMathCss(options.assets);
+}
+
+function getDocumentCss(options, state) {
+  const highlightTheme = options.highlightCss !== undefined ? options.highlightCss
+        : loadHighlightTheme(options.highlightTheme || defaultHighlightTheme);
+  return [ highlightTheme, options.css ].concat(getDocumentMathCss(options, state) || []).join('\n');
+}
+
+function genHtmlDocument(htmlInnerContents, replacements, options, state) {
+  const parts = {
+    metaTags: genMetaTags(replacements),
+    style: getDocumentCss(options, state),
+    script: options.js,
+    sprites: options.assets ? options.assets.spritesHtml() : '',
+    frontPage: renderPage(options.frontPage, replacements, options, options.frontPageDir),
+    toc: options.toc ? genToc(options.toc, htmlInnerContents, options) : '',
+    lof: options.lof && state ? state.xrefs.genList('lof', options.lof) : '',
+    lot: options.lot && state ? state.xrefs.genList('lot', options.lot) : '',
+    glossary: options.glossarySection && state ? state.glossary.genSection(options.glossarySection) : '',
+    contents: htmlInnerContents,
+    backPage: renderPage(options.backPage, replacements, options, options.backPageDir),
+  };
+  if (!options.layout && defaultLayout === null) {
+    defaultLayout = loadFile(defaultLayoutFile);
+  }
+  const layout = renderLayout(options.layout || defaultLayout, replacements, parts, options);
+  const html = runPostprocess(options.plugins, layout, { options, replacements });
+  if (options.assets) {
+    options.assets.check();
+  }
+  return html;
+}
+
+/*
+ * EPUB package (see epub.js) of the rendered document, the front page is
+ * the cover and the lists and glossary come before the contents.
+ */
+function genEpubDocument(htmlInnerContents, replacements, options, state) {
+  const lists = [
+    options.lof ? state.xrefs.genList('lof', options.lof) : '',
+    options.lot ? state.xrefs.genList('lot', options.lot) : '',
+    options.glossarySection ? state.glossary.genSection(options.glossarySection) : '',
+  ];
+  const epub = genEpub({
+    metadata: replacements,
+    contents: lists.filter(list => list).concat(htmlInnerContents).join('\n'),
+    cover: renderPage(options.frontPage, replacements, options, options.frontPageDir),
+    css: getDocumentCss(options, state),
+    assets: options.assets ? options.assets.copies : {},
+    toc: options.toc,
+    tocMinDepth: options.tocMinDepth,
+    tocMaxDepth: options.tocMaxDepth,
+  });
+  if (options.assets) {
+    options.assets.check();
+  }
+  return epub;
+}
+
+/*
+ * Renders the Markdown source (with optional front matter), returns:
+ *  - html: the converted contents, without the document skeleton;
+ *  - replacements: variables exposed to the templates;
+ *  - options: given options merged with the front matter ones;
+ *  - state: the ids given to each heading (headingIds) and the cross
+ *    references (xrefs).
+ */
+function renderDocument(source, baseOptions = {}) {
+  const fname = baseOptions.fname || 'document.md';
+  const { metadata, body, firstLine } = parseFrontMatter(fname, source);
+  const { vars, docOptions } = splitFrontMatter(metadata);
+  const options = getDocumentOptions(fname, docOptions, baseOptions);
+  const replacements = addReplacements(options.plugins, getReplacements(fname, options, vars), { fname, options });
+  const state = createDocumentState(options);
+  const contents = renderBody(body, fname, firstLine, state, options) + state.footnotes.flush();
+  checkDiagrams(state);
+  let html = rewriteMdLinks(state.xrefs.resolve(contents, fname));
+  state.xrefs.check();
+  if (options.chapterToc) {
+    html = insertChapterTocs(html, options);
+  }
+  return { html, replacements, options, state };
+}
+
+/*
+ * Renders the Markdown source to a complete HTML document.
+ *
+ * Nothing is read from disk unless the front matter lists CSS files,
+ * these are read using options.loadFile(fname) if given.
+ *
+ * Options:
+ *  - fname: file name of the source, used for the default title and
+ *    to resolve paths in the front matter;
+ *  - title, author, date: exposed to the templates;
+ *  - vars: extra variables exposed to the templates;
+ *  - css, js: contents to include inline;
+ *  - frontPage, backPage: Mustache templates;
+ *  - layout: Mustache template of the whole HTML document, defaults to
+ *    layouts/default.html. Besides the replacements it receives the
+ *    generated parts (metaTags, style, script, sprites, frontPage, toc,
+ *    lof, lot, glossary, contents and backPage), its assets are resolved relative
+ *    to layoutDir;
+ *  - partials: map of partial name to Mustache template, available to
+ *    the layout and pages;
+ *  - plugins: list of plugins (see plugins.js), in the order they run;
+ *  - toc: true or the Table of Contents title;
+ *  - tocMinDepth, tocMaxDepth: heading levels listed in the ToC;
+ *  - chapterToc: list the sections of each chapter after its h1;
+ *  - numberSections: insert section numbers in the headings;
+ *  - footnotes: where to place the footnotes, document (default),
+ *    chapter or page (see dialect.js);
+ *  - admonitions: map of admonition type to { title, className, icon },
+ *    merged with the default types;
+ *  - math: output of TeX math (see math.js), html (HTML and MathML, the
+ *    default), mathml or none to leave it as text;
+ *  - mathCss: CSS included by documents with math, defaults to KaTeX's
+ *    with its fonts resolved by assets;
+ *  - glossary: list of { term, expansion, definition, lang } (see
+ *    glossary.js), the terms are annotated as <abbr>;
+ *  - glossaryMode: annotate the first use of each term (first, the
+ *    default) or all of them;
+ *  - glossarySection: true or the title of the Glossary, listing the
+ *    terms used;
+ *  - sourceLines: keep the position of the blocks in the Markdown as
+ *    data-source="file.md:line" (see sourcelines.js);
+ *  - highlightTheme: highlight.js theme name or absolute path;
+ *  - highlightCss: contents to use instead of highlightTheme;
+ *  - lof, lot: true or the title of the List of Figures or Tables;
+ *  - xrefNumbering: 'chapter' or 'document', see CrossReferences;
+ *  - xrefNames: map of label kind (fig, tbl, lst, sec) to caption name;
+ *  - assets: AssetResolver (see assets.js) used to embed or copy the
+ *    local images, the pages are resolved relative to frontPageDir and
+ *    backPageDir;
+ *  - diagrams: false to highlight diagram code blocks instead;
+ *  - diagramRenderers: list of renderers used before the default ones
+ *    (see diagrams.js);
+ *  - diagramCacheDir: directory to cache the rendered diagrams;
+ *  - reportError(message): called for non-fatal errors, defaults to
+ *    console.error().
+ */
+function renderMarkdown(source, options = {}) {
+  const { html, replacements, options: docOptions, state } = renderDocument(source, options);
+  return genHtmlDocument(html, replacements, docOptions, state);
+}
+
+/*
+ * Renders the Markdown source to an EPUB package, see genEpub(). Same
+ * options of renderMarkdown(), except the layout, its parts and the
+ * plugins postprocessing. Local images and fonts are only included if
+ * options.assets is an AssetResolver in copy mode, its copies are added
+ * to the package.
+ */
+function renderEpub(source, options = {}) {
+  const { html, replacements, options: docOptions, state } = renderDocument(source, options);
+  return genEpubDocument(html, replacements, docOptions, state);
+}
+
+/*
+ * Generates the HTML document and, if epubOptions ({ css, assets }) is
+ * given, the EPUB package of the document rendered once by
+ * render(options). Each output resolves the local assets with its own
+ * resolver and puts its own CSS before the front matter one.
+ */
+function genHtmlAndEpub(render, options, epubOptions) {
+  if (!epubOptions) {
+    const { html, replacements, options: docOptions, state } = render(options);
+    return { html: genHtmlDocument(html, replacements, docOptions, state), epub: null };
+  }
+  const refs = new AssetReferences();
+  const { html, replacements, options: docOptions, state } = render({ ...options, css: '', assets: refs });
+  const outputOptions = ({ css, assets }) => ({
+    ...docOptions,
+    css: (css || '') + refs.apply(docOptions.css, assets),
+    assets,
+  });
+  return {
+    html: genHtmlDocument(refs.apply(html, options.assets), replacements, outputOptions(options), state),
+    epub: genEpubDocument(refs.apply(html, epubOptions.assets), replacements, outputOptions(epubOptions), state),
+  };
+}
+
+// Same as renderMarkdown() and renderEpub(), rendering the source once:
+// returns { html, epub }, epub is null without epubOptions.
+function renderMarkdownAndEpub(source, options = {}, epubOptions = null) {
+  return genHtmlAndEpub(renderOptions => renderDocument(source, renderOptions), options, epubOptions);
+}
+
+// Variables of the document (title, author, date...) without rendering it.
+function getDocumentReplacements(source, options = {}) {
+  const fname = options.fname || 'document.md';
+  const { metadata } = parseFrontMatter(fname, source);
+  const { vars } = splitFrontMatter(metadata);
+  return addReplacements(options.plugins, getReplacements(fname, options, vars), { fname, options });
+}
+
+/*
+ * Renders a page listing documents: [{ href, title, author, date }], using
+ * the same options of renderMarkdown(). The front and back pages, ToC and
+ * lists are not included.
+ */
+function renderIndex(title, entries, options = {}) {
+  const rows = entries.map(({ href, title: docTitle, author, date }) => [
+    '<tr>',
+    `<td class="index-title"><a href="${escapeHtml(href)}">${escapeHtml(docTitle)}</a></td>`,
+    `<td class="index-author">${escapeHtml(author || '')}</td>`,
+    `<td class="index-date">${escapeHtml(date || '')}</td>`,
+    '</tr>',
+  ].join(''));
+  const html = [
+    `<h1 id="index">${escapeHtml(title)}</h1>`,
+    '<table class="document-index">',
+    '<thead><tr><th>Title</th><th>Author</th><th>Date</th></tr></thead>',
+    '<tbody>',
+    ...rows,
+    '</tbody>',
+    '</table>',
+  ].join('\n');
+  const indexOptions = { ...options, frontPage: '', backPage: '', toc: false, lof: false, lot: false, glossarySection: false };
+  return genHtmlDocument(html, { ...options.vars, title }, indexOptions, null);
+}
+
+// Links to other chapters (chapter.md#slug) and to the chapter's own
+// headings (#slug) are rewritten to the anchors of the book.
+function resolveChapterLinks(chapter, html, headingIds, chapterIds, reportError) {
+  return html.replace(/(<a [^>]*href=")([^"]*)(")/g, (match, before, href, after) => {
+    if (isExternal(href) || href.startsWith('/')) {
+      return match;
+    }
+
+    const { file, fragment } = splitHref(href);
+    if (!file && footnoteIdRegExp.test(fragment)) {
+      // already unique within the book, see Footnotes
+      return match;
+    }
+    let target = chapter;
+    if (file) {
+      if (!file.endsWith('.md')) {
+        return match;
+      }
+      target = path.resolve(path.dirname(chapter), file);
+      if (!chapterIds[target]) {
+        return match;
+      }
+    }
+
+    if (!fragment) {
+      return `${before}#${chapterIds[target]}${after}`;
+    }
+    const id = headingIds.resolve(target, fragment);
+    if (!id) {
+      reportError(`${chapter}: broken link ${href}: no such heading in ${target}`);
+      return match;
+    }
+    return `${before}#${id}${after}`;
+  });
+}
+
+/*
+ * Renders the chapters (list of { fname, source }), in order, as a
+ * single HTML document. Besides renderMarkdown() options:
+ *  - metadata: book variables and options, these win over chapters'
+ *    front matter;
+ *  - manifest: file name the metadata comes from, used to resolve
+ *    paths;
+ *  - outputName: used for the default title.
+ */
+function renderBookDocument(chapters, bookOptions = {}) {
+  const { metadata } = bookOptions;
+  const outputName = bookOptions.outputName || 'book';
+  const chapterIds = {};
+  const bodies = [];
+  let options = bookOptions;
+  let vars = {};
+  for (let i = 0; i < chapters.length; i += 1) {
+    const fname = chapters[i].fname || `chapter-${i + 1}.md`;
+    const { metadata: chapterMetadata, body, firstLine } = parseFrontMatter(fname, chapters[i].source);
+    const doc = splitFrontMatter(chapterMetadata);
+    const chapter = path.resolve(fname);
+    if (chapterIds[chapter]) {
+      throw new Error(`${fname}: chapter included more than once`);
+    }
+    chapterIds[chapter] = `chapter-${slugify(fname2title(path.basename(fname)).trim())}`;
+    bodies.push({ chapter, body, firstLine });
+    // chapters front matter are merged in order, the manifest wins.
+    options = getDocumentOptions(fname, doc.docOptions, options);
+    vars = { ...vars, ...doc.vars };
+  }
+  const book = splitFrontMatter(metadata || {});
+  options = getDocumentOptions(bookOptions.manifest || outputName, book.docOptions, options);
+  vars = { ...vars, ...book.vars };
+
+  const state = createDocumentState(options);
+  const { headingIds, xrefs } = state;
+  for (const chapter in chapterIds) {
+    if (chapterIds.hasOwnProperty(chapter)) {
+      chapterIds[chapter] = headingIds.add(chapterIds[chapter], '');
+    }
+  }
+  const rendered = bodies.map(({ chapter, body, firstLine }) => ({
+    chapter,
+    html: renderBody(body, chapter, firstLine, state, options),
+  }));
+  checkDiagrams(state);
+  const resolveLinks = (chapter, html) => rewriteMdLinks(xrefs.resolve(
+    resolveChapterLinks(chapter, html, headingIds, chapterIds, options.reportError || defaultReportError), chapter));
+  let htmlInnerContents = rendered.map(({ chapter, html }) => {
+    // footnotes listed at the end of the book link as their chapter does
+    state.footnotes.mapPending(chapter, notes => resolveLinks(chapter, notes));
+    return [
+      `<div class="chapter" id="${chapterIds[chapter]}">`,
+      resolveLinks(chapter, html),
+      '</div>',
+    ].join('\n');
+  }).concat(state.footnotes.flush() || []).join('\n');
+  xrefs.check();
+  if (options.chapterToc) {
+    htmlInnerContents = insertChapterTocs(htmlInnerContents, options);
+  }
+
+  const replacements = addReplacements(options.plugins, getReplacements(outputName, options, vars), {
+    fname: bookOptions.manifest || outputName,
+    options,
+  });
+  return { html: htmlInnerContents, replacements, options, state };
+}
+
+function renderBook(chapters, bookOptions = {}) {
+  const { html, replacements, options, state } = renderBookDocument(chapters, bookOptions);
+  return genHtmlDocument(html, replacements, options, state);
+}
+
+// Same as renderBook(), to an EPUB package (see renderEpub()).
+function renderBookEpub(chapters, bookOptions = {}) {
+  const { html, replacements, options, state } = renderBookDocument(chapters, bookOptions);
+  return genEpubDocument(html, replacements, options, state);
+}
+
+// Same as renderMarkdownAndEpub(), for renderBook() and renderBookEpub().
+function renderBookAndEpub(chapters, bookOptions = {}, epubOptions = null) {
+  return genHtmlAndEpub(renderOptions => renderBookDocument(chapters, renderOptions), bookOptions, epubOptions);
+}
+
+// Manifest lists the chapters (relative to it) and the book metadata.
+function parseManifest(fname, contents) {
+  let manifest;
+  try {
+    manifest = yaml.safeLoad(contents, { filename: fname, schema: yaml.CORE_SCHEMA });
+  } catch (exc) {
+    throw new Error(`${fname}: invalid manifest: ${exc.message}`);
+  }
+  if (Array.isArray(manifest)) {
+    manifest = { chapters: manifest };
+  }
+  if (!manifest || !Array.isArray(manifest.chapters) || manifest.chapters.length === 0) {
+    throw new Error(`${fname}: manifest must list the chapters, either as a list or in 'chapters'`);
+  }
+
+  const dirname = path.dirname(fname);
+  const chapters = manifest.chapters.map(f => path.join(dirname, f));
+  const metadata = { ...manifest };
+  delete metadata.chapters;
+  return { chapters, metadata };
+}
+
+module.exports = {
+  defaultHighlightTheme,
+  genHtmlDocument,
+  hljsThemes,
+  parseFrontMatter,
+  getDocumentReplacements,
+  getFrontMatterDependencies,
+  parseManifest,
+  renderDocument,
+  renderIndex,
+  renderMarkdown,
+  renderMarkdownAndEpub,
+  renderBook,
+  renderBookAndEpub,
+  renderBookEpub,
+  renderEpub,
+};
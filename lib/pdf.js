@@ -0,0 +1,197 @@
+const fs = require('fs');
+const path = require('path');
+const url = require('url');
+const cheerio = require('cheerio');
+const { PDFDocument, PDFHexString, PDFName } = require('pdf-lib');
+const { nestHeadings } = require('./toc');
+
+// Paged Media polyfill, it paginates the document in the browser so
+// @page margin boxes, string-set(), leader() and target-counter() work.
+// (its package exports don't allow to resolve dist/ directly).
+const pagedPolyfill = path.join(path.dirname(require.resolve('pagedjs')), '..', 'dist', 'paged.polyfill.js');
+
+const defaultBrowserPaths = [
+  '/usr/bin/chromium',
+  '/usr/bin/chromium-browser',
+  '/usr/bin/google-chrome',
+  '/usr/bin/google-chrome-stable',
+  '/usr/bin/microsoft-edge',
+  '/Applications/Google Chrome.app/Contents/MacOS/Google Chrome',
+  '/Applications/Chromium.app/Contents/MacOS/Chromium',
+  'C:\\Program Files\\Google\\Chrome\\Application\\chrome.exe',
+  'C:\\Program Files (x86)\\Google\\Chrome\\Application\\chrome.exe',
+];
+
+const cssPixelsPerPoint = 96 / 72;
+
+function findBrowser(browserPath) {
+  if (browserPath) {
+    return browserPath;
+  }
+  const found = defaultBrowserPaths.find(fname => fs.existsSync(fname));
+  if (!found) {
+    throw new Error('no Chrome or Chromium found to generate the PDF, use --browser or BROWSER_PATH.');
+  }
+  return found;
+}
+
+// Chrome or Chromium to render the documents, it may be shared among
+// many renderPdf() calls and must be closed by the caller.
+function launchBrowser(options = {}) {
+  // puppeteer takes a while to load and is only needed for PDF
+  const puppeteer = require('puppeteer-core');
+  return puppeteer.launch({
+    executablePath: findBrowser(options.browserPath),
+    headless: true,
+    args: [ '--allow-file-access-from-files', ...(options.browserArgs || []) ],
+  });
+}
+
+// Title and <meta> tags generated by md2html, see genMetaTags().
+function getDocumentInfo(html) {
+  const $ = cheerio.load(html);
+  const meta = name => $(`meta[name="${name}"]`).attr('content');
+  return {
+    title: $('head > title').text(),
+    author: meta('author'),
+    date: meta('date'),
+    description: meta('description'),
+    keywords: meta('keywords'),
+  };
+}
+
+// Headings of the paginated document, with the page index and their
+// position in CSS pixels from the top of the page. Runs in the browser.
+function getHeadingsOutline() {
+  const pages = Array.from(document.querySelectorAll('.pagedjs_page'));
+  return Array.from(document.querySelectorAll('h1, h2, h3, h4, h5, h6'))
+    .filter(h => !h.closest('.front-page, .back-page') && !h.hasAttribute('data-split-from'))
+    .map((h) => {
+      const page = h.closest('.pagedjs_page');
+      return {
+        level: parseInt(h.tagName.slice(1), 10),
+        title: h.textContent.replace(/\s+/g, ' ').trim(),
+        page: pages.indexOf(page),
+        top: h.getBoundingClientRect().top - page.getBoundingClientRect().top,
+      };
+    })
+    .filter(h => h.title && h.page !== -1);
+}
+
+function setDocumentInfo(pdf, info) {
+  if (info.title) {
+    pdf.setTitle(info.title, { showInWindowTitleBar: true });
+  }
+  if (info.author) {
+    pdf.setAuthor(info.author);
+  }
+  if (info.description) {
+    pdf.setSubject(info.description);
+  }
+  if (info.keywords) {
+    pdf.setKeywords(info.keywords.split(/\s*,\s*/));
+  }
+  const date = info.date ? new Date(info.date) : null;
+  if (date && !isNaN(date.getTime())) {
+    pdf.setCreationDate(date);
+  }
+  pdf.setCreator('md2html');
+}
+
+// Outline items are linked to their siblings and parent, see PDF 1.7
+// section 12.3.3. Returns the first and last items and the number of
+// descendants.
+function addOutlineItems(pdf, parentRef, nodes) {
+  const { context } = pdf;
+  const pages = pdf.getPages();
+  const refs = nodes.map(() => context.nextRef());
+  let count = 0;
+  for (let i = 0; i < nodes.length; i += 1) {
+    const { heading, children } = nodes[i];
+    const page = pages[Math.min(heading.page, pages.length - 1)];
+    const top = Math.max(page.getHeight() - (heading.top / cssPixelsPerPoint), 0);
+    const item = context.obj({
+      Title: PDFHexString.fromText(heading.title),
+      Parent: parentRef,
+      Dest: [ page.ref, 'XYZ', null, top, null ],
+    });
+    if (i > 0) {
+      item.set(PDFName.of('Prev'), refs[i - 1]);
+    }
+    if (i < nodes.length - 1) {
+      item.set(PDFName.of('Next'), refs[i + 1]);
+    }
+    if (children.length > 0) {
+      const sub = addOutlineItems(pdf, refs[i], children);
+      item.set(PDFName.of('First'), sub.first);
+      item.set(PDFName.of('Last'), sub.last);
+      item.set(PDFName.of('Count'), context.obj(sub.count));
+      count += sub.count;
+    }
+    context.assign(refs[i], item);
+    count += 1;
+  }
+  return { first: refs[0], last: refs[refs.length - 1], count };
+}
+
+// PDF bookmarks from the headings: [{ level, title, page, top }]
+function addOutline(pdf, headings) {
+  const nodes = nestHeadings(headings);
+  if (nodes.length === 0) {
+    return;
+  }
+  const outlinesRef = pdf.context.nextRef();
+  const { first, last, count } = addOutlineItems(pdf, outlinesRef, nodes);
+  pdf.context.assign(outlinesRef, pdf.context.obj({
+    Type: 'Outlines',
+    First: first,
+    Last: last,
+    Count: count,
+  }));
+  pdf.catalog.set(PDFName.of('Outlines'), outlinesRef);
+  pdf.catalog.set(PDFName.of('PageMode'), PDFName.of('UseOutlines'));
+}
+
+/*
+ * Renders the HTML file (generated by md2html) to PDF, returns a Buffer.
+ * The file is loaded from disk so relative images and links work.
+ *
+ * Options:
+ *  - browser: launched with launchBrowser(), otherwise one is launched
+ *    and closed for this document;
+ *  - browserPath, browserArgs: see launchBrowser().
+ */
+async function renderPdf(htmlFile, options = {}) {
+  const browser = options.browser || await launchBrowser(options);
+  try {
+    const page = await browser.newPage();
+    await page.evaluateOnNewDocument(() => {
+      window.PagedConfig = { auto: false };
+    });
+    await page.goto(url.pathToFileURL(htmlFile).href, { waitUntil: 'load' });
+    await page.addScriptTag({ path: pagedPolyfill });
+    await page.evaluate(async () => {
+      await window.PagedPolyfill.preview();
+    });
+    const headings = await page.evaluate(getHeadingsOutline);
+    const pdfBytes = await page.pdf({ printBackground: true, preferCSSPageSize: true });
+    await page.close();
+
+    const pdf = await PDFDocument.load(pdfBytes);
+    setDocumentInfo(pdf, getDocumentInfo(fs.readFileSync(htmlFile, 'utf-8')));
+    addOutline(pdf, headings);
+    return Buffer.from(await pdf.save());
+  } finally {
+    if (!options.browser) {
+      await browser.close();
+    }
+  }
+}
+
+module.exports = {
+  addOutline,
+  getDocumentInfo,
+  launchBrowser,
+  renderPdf,
+  setDocumentInfo,
+};
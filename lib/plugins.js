@@ -0,0 +1,165 @@
+const path = require('path');
+const cheerio = require('cheerio');
+const { replaceText } = require('./html');
+
+/*
+ * Plugins are objects (or modules exporting them, or a function returning
+ * them) with any of:
+ *  - name: used in error messages, defaults to the module name;
+ *  - preprocess(source, { fname, options }): returns the Markdown source
+ *    (without front matter) to convert, keep the lines to get proper
+ *    line numbers in error messages;
+ *  - renderer: marked renderer methods (heading, paragraph, link...),
+ *    called with the same arguments. Return false (or nothing) to use the
+ *    previous renderer. code(code, lang, escaped, attributes) also gets
+ *    the attributes of the fenced code block (see attributes.js);
+ *  - inline: list of { pattern, render(match, ...groups) }, replaces the
+ *    pattern (a global RegExp) in the text of the generated HTML, not in
+ *    tags, attribute values, code or scripts. This is how new inline
+ *    syntax is added, marked 0.3 has no tokenizer extensions;
+ *  - replacements(replacements, { fname, options }): returns extra
+ *    variables for the templates;
+ *  - postprocess($, { options, replacements }): changes the final document,
+ *    $ is the cheerio (jQuery-like) instance.
+ *
+ * Plugins run in the given order, renderer methods of later plugins are
+ * tried first.
+ */
+
+// inline patterns don't apply within these elements
+const inlineSkipElements = [ 'code', 'pre', 'script', 'style' ];
+const pluginKeys = [ 'name', 'preprocess', 'renderer', 'inline', 'replacements', 'postprocess' ];
+
+function checkPlugin(plugin, name) {
+  if (!plugin || typeof plugin !== 'object') {
+    throw new Error(`plugin ${name}: expected an object, got ${typeof plugin}`);
+  }
+  const unknown = Object.keys(plugin).filter(k => pluginKeys.indexOf(k) === -1);
+  if (unknown.length > 0) {
+    throw new Error(`plugin ${name}: unknown ${unknown.join(', ')}, expected: ${pluginKeys.join(', ')}`);
+  }
+  (plugin.inline || []).forEach((ext, i) => {
+    if (!(ext.pattern instanceof RegExp) || !ext.pattern.global || typeof ext.render !== 'function') {
+      throw new Error(`plugin ${name}: inline[${i}] must have a global pattern and a render function`);
+    }
+  });
+  return { ...plugin, name: plugin.name || name };
+}
+
+// Module names are resolved from baseDir, paths are relative to it.
+function loadPlugin(name, baseDir = process.cwd()) {
+  const request = /^[.]{1,2}[\\/]/.test(name) ? path.resolve(baseDir, name) : name;
+  let file;
+  let plugin;
+  try {
+    file = require.resolve(request, { paths: [ baseDir ] });
+    plugin = require(file);
+  } catch (exc) {
+    throw new Error(`plugin ${name}: could not load: ${exc.message.split('\n')[0]}`);
+  }
+  if (typeof plugin === 'function') {
+    plugin = plugin();
+  }
+  return { ...checkPlugin(plugin, name), file };
+}
+
+function loadPlugins(names, baseDir) {
+  return (names || []).map(name => loadPlugin(name, baseDir));
+}
+
+// Files of the plugins loaded by loadPlugin() and of the local modules
+// they require, the outputs depend on them.
+function getPluginFiles(plugins) {
+  const files = [];
+  const add = (fname) => {
+    if (files.indexOf(fname) !== -1) {
+      return;
+    }
+    files.push(fname);
+    const mod = require.cache[fname];
+    (mod ? mod.children : [])
+      .map(child => child.filename)
+      .filter(child => child.split(path.sep).indexOf('node_modules') === -1)
+      .forEach(add);
+  };
+  (plugins || []).filter(plugin => plugin.file).forEach(plugin => add(plugin.file));
+  return files;
+}
+
+function callHook(plugin, hook, fn) {
+  try {
+    return fn();
+  } catch (exc) {
+    throw new Error(`plugin ${plugin.name}: ${hook} failed: ${exc.message}`);
+  }
+}
+
+function runPreprocess(plugins, source, context) {
+  return (plugins || [])
+    .filter(plugin => plugin.preprocess)
+    .reduce((src, plugin) => callHook(plugin, 'preprocess', () => plugin.preprocess(src, context)), source);
+}
+
+// getArgs(method, args) may change the arguments given to the plugins.
+function applyRenderers(renderer, plugins, getArgs) {
+  (plugins || []).filter(plugin => plugin.renderer).forEach((plugin) => {
+    Object.keys(plugin.renderer).forEach((method) => {
+      const previous = renderer[method];
+      renderer[method] = function (...args) {
+        const pluginArgs = getArgs ? getArgs(method, args) : args;
+        const ret = callHook(plugin, `renderer.${method}`, () => plugin.renderer[method].apply(this, pluginArgs));
+        if (ret === false || ret === undefined || ret === null) {
+          return previous.apply(this, args);
+        }
+        return ret;
+      };
+    });
+  });
+  return renderer;
+}
+
+function applyInline(plugins, html) {
+  let ret = html;
+  (plugins || []).filter(plugin => plugin.inline).forEach((plugin) => {
+    plugin.inline.forEach(({ pattern, render }) => {
+      ret = replaceText(ret, text => text.replace(pattern, (...args) => {
+        // drop offset, string and named groups (if any)
+        const match = args.slice(0, typeof args[args.length - 1] === 'object' ? -3 : -2);
+        return callHook(plugin, 'inline', () => render(...match));
+      }), name => inlineSkipElements.indexOf(name) !== -1);
+    });
+  });
+  return ret;
+}
+
+function addReplacements(plugins, replacements, context) {
+  return (plugins || [])
+    .filter(plugin => plugin.replacements)
+    .reduce((ret, plugin) => ({
+      ...ret,
+      ...callHook(plugin, 'replacements', () => plugin.replacements(ret, context)),
+    }), replacements);
+}
+
+function runPostprocess(plugins, html, context) {
+  const postprocessors = (plugins || []).filter(plugin => plugin.postprocess);
+  if (postprocessors.length === 0) {
+    return html;
+  }
+  const $ = cheerio.load(html);
+  postprocessors.forEach((plugin) => {
+    callHook(plugin, 'postprocess', () => plugin.postprocess($, context));
+  });
+  return $.html();
+}
+
+module.exports = {
+  addReplacements,
+  applyInline,
+  applyRenderers,
+  getPluginFiles,
+  loadPlugin,
+  loadPlugins,
+  runPostprocess,
+  runPreprocess,
+};
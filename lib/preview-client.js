@@ -0,0 +1,35 @@
+/* Injected by md2html --serve, uses md2htmlPreview defined before. */
+(function () {
+  var errors = md2htmlPreview.errors;
+  if (errors.length > 0) {
+    var overlay = document.createElement('div');
+    overlay.setAttribute('id', 'md2html-preview-errors');
+    overlay.setAttribute('style', [
+      'position: fixed', 'top: 0', 'left: 0', 'right: 0', 'max-height: 50%',
+      'overflow: auto', 'z-index: 2147483647', 'margin: 0', 'padding: 1em',
+      'background: rgba(40, 0, 0, 0.9)', 'color: #fff',
+      'font: 10pt monospace', 'white-space: pre-wrap',
+    ].join('; '));
+    var close = document.createElement('button');
+    close.textContent = 'Close';
+    close.setAttribute('style', 'float: right');
+    close.onclick = function () {
+      overlay.parentNode.removeChild(overlay);
+    };
+    overlay.appendChild(close);
+    for (var i = 0; i < errors.length; i += 1) {
+      var p = document.createElement('p');
+      p.textContent = 'ERROR: ' + errors[i];
+      overlay.appendChild(p);
+    }
+    document.body.appendChild(overlay);
+  }
+
+  var source = new EventSource(md2htmlPreview.events);
+  source.addEventListener('reload', function (ev) {
+    var paths = JSON.parse(ev.data);
+    if (paths.indexOf(decodeURIComponent(window.location.pathname)) !== -1) {
+      window.location.reload();
+    }
+  });
+})();
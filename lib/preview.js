@@ -0,0 +1,230 @@
+const fs = require('fs');
+const http = require('http');
+const path = require('path');
+
+const eventsPath = '/__md2html/events';
+const clientScript = fs.readFileSync(path.join(__dirname, 'preview-client.js'), { encoding: 'utf8' });
+const mimeTypes = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'application/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp',
+  '.woff': 'font/woff',
+  '.woff2': 'font/woff2',
+  '.pdf': 'application/pdf',
+};
+
+function escapedScriptJson(value) {
+  return JSON.stringify(value).replace(/</g, '\\u003c');
+}
+
+function injectClient(html, errors) {
+  const script = [
+    '<script type="text/javascript">',
+    `var md2htmlPreview = { events: ${escapedScriptJson(eventsPath)}, errors: ${escapedScriptJson(errors)} };`,
+    clientScript,
+    '</script>',
+  ].join('\n');
+  const idx = html.lastIndexOf('</body>');
+  if (idx === -1) {
+    return html + script;
+  }
+  return html.slice(0, idx) + script + html.slice(idx);
+}
+
+function errorPage(errors) {
+  return injectClient('<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8" /></head>\n<body>\n</body>\n</html>', errors);
+}
+
+function directoryListing(root, dirname, urlPath) {
+  const base = urlPath.endsWith('/') ? urlPath : urlPath + '/';
+  const items = fs.readdirSync(dirname, { encoding: 'utf8' })
+    .sort()
+    .map((fname) => {
+      const isDir = fs.statSync(path.join(dirname, fname)).isDirectory();
+      const name = isDir ? fname + '/' : fname;
+      return `<li><a href="${encodeURI(base + name)}">${name.replace(/</g, '&lt;')}</a></li>`;
+    });
+  return `<!DOCTYPE html>\n<html>\n<head><meta charset="utf-8" /></head>\n<body>\n<ul>\n${items.join('\n')}\n</ul>\n</body>\n</html>`;
+}
+
+// Files removed between the request and the read are not found, other
+// problems (permissions...) are the server's.
+function sendReadError(res, exc) {
+  if (exc.code === 'ENOENT' || exc.code === 'ENOTDIR') {
+    res.writeHead(404);
+    res.end('Not Found');
+  } else {
+    res.writeHead(500);
+    res.end('Internal Server Error');
+  }
+}
+
+/*
+ * Serves the files in root over HTTP. HTML pages get a small script
+ * that reloads them when notify() is called with their path and
+ * displays the build errors (given by getErrors(fname)) on top of the
+ * page.
+ */
+function createPreviewServer(root, getErrors) {
+  const clients = [];
+  const rootDir = path.resolve(root);
+
+  const server = http.createServer((req, res) => {
+    let urlPath;
+    try {
+      urlPath = decodeURIComponent(req.url.split('?')[0]);
+    } catch (exc) {
+      res.writeHead(400);
+      res.end('Bad Request');
+      return;
+    }
+    if (urlPath === eventsPath) {
+      res.writeHead(200, {
+        'Content-Type': 'text/event-stream',
+        'Cache-Control': 'no-cache',
+        'Connection': 'keep-alive',
+      });
+      res.write(': connected\n\n');
+      clients.push(res);
+      req.on('close', () => clients.splice(clients.indexOf(res), 1));
+      return;
+    }
+
+    const fname = path.join(rootDir, urlPath);
+    if (fname !== rootDir && !fname.startsWith(rootDir + path.sep)) {
+      res.writeHead(403);
+      res.end('Forbidden');
+      return;
+    }
+
+    const errors = getErrors(fname);
+    let st;
+    try {
+      st = fs.statSync(fname);
+    } catch (exc) {
+      if (errors.length > 0) {
+        res.writeHead(200, { 'Content-Type': mimeTypes['.html'] });
+        res.end(errorPage(errors));
+        return;
+      }
+      res.writeHead(404);
+      res.end('Not Found');
+      return;
+    }
+
+    if (st.isDirectory()) {
+      const index = path.join(fname, 'index.html');
+      if (!fs.existsSync(index)) {
+        let listing;
+        try {
+          listing = directoryListing(rootDir, fname, urlPath);
+        } catch (exc) {
+          sendReadError(res, exc);
+          return;
+        }
+        res.writeHead(200, { 'Content-Type': mimeTypes['.html'] });
+        res.end(listing);
+        return;
+      }
+      res.writeHead(302, { Location: (urlPath.endsWith('/') ? urlPath : urlPath + '/') + 'index.html' });
+      res.end();
+      return;
+    }
+
+    const ext = path.extname(fname).toLowerCase();
+    const headers = {
+      'Content-Type': mimeTypes[ext] || 'application/octet-stream',
+      'Cache-Control': 'no-cache',
+    };
+    if (ext === '.html') {
+      let html;
+      try {
+        html = fs.readFileSync(fname, { encoding: 'utf8' });
+      } catch (exc) {
+        sendReadError(res, exc);
+        return;
+      }
+      res.writeHead(200, headers);
+      res.end(injectClient(html, errors));
+      return;
+    }
+    const stream = fs.createReadStream(fname);
+    stream.on('open', () => {
+      res.writeHead(200, headers);
+      stream.pipe(res);
+    });
+    stream.on('error', (exc) => {
+      if (res.headersSent) {
+        res.destroy();
+      } else {
+        sendReadError(res, exc);
+      }
+    });
+  });
+
+  server.notify = function (fnames) {
+    const paths = fnames.map(fname => '/' + path.relative(rootDir, path.resolve(fname)).split(path.sep).join('/'));
+    const data = `event: reload\ndata: ${JSON.stringify(paths)}\n\n`;
+    for (let i = 0; i < clients.length; i += 1) {
+      clients[i].write(data);
+    }
+  };
+
+  return server;
+}
+
+/*
+ * Watch the given files and call onChange() with the list of files that
+ * changed. The parent directories are watched instead of the files
+ * themselves, so editors that save by renaming are handled as well.
+ */
+function watchFiles(fnames, onChange, delay = 100) {
+  const watched = {};
+  const dirs = {};
+  for (let i = 0; i < fnames.length; i += 1) {
+    const fname = path.resolve(fnames[i]);
+    watched[fname] = true;
+    dirs[path.dirname(fname)] = true;
+  }
+
+  let pending = {};
+  let timer = null;
+  const flush = () => {
+    const changed = Object.keys(pending);
+    pending = {};
+    timer = null;
+    onChange(changed);
+  };
+
+  const watchers = Object.keys(dirs).map(dirname => fs.watch(dirname, (eventType, fname) => {
+    const changed = fname && path.join(dirname, fname.toString());
+    if (!changed || !watched[changed]) {
+      return;
+    }
+    pending[changed] = true;
+    if (!timer) {
+      timer = setTimeout(flush, delay);
+    }
+  }));
+
+  return {
+    close() {
+      watchers.forEach(w => w.close());
+      if (timer) {
+        clearTimeout(timer);
+      }
+    },
+  };
+}
+
+module.exports = {
+  createPreviewServer,
+  watchFiles,
+};
@@ -0,0 +1,402 @@
+const { diffArrays } = require('diff');
+const { escapeHtml } = require('./html');
+const { genHtmlDocument, renderDocument } = require('./md2html');
+
+/*
+ * Redline of two rendered revisions of a document: the HTML contents are
+ * split in blocks (top-level elements) grouped in sections (a heading and
+ * the blocks up to the next heading). Sections are matched by heading,
+ * those matched out of order were moved. Blocks of matched sections are
+ * compared in order and changed blocks are compared word by word, marked
+ * as <ins class="diff"> and <del class="diff">.
+ *
+ * The result keeps the structure of the new revision, so its heading ids
+ * (and the ToC) still work. Whole inserted and deleted blocks are wrapped
+ * in <div class="diff-inserted"> and <div class="diff-deleted">, ids in
+ * the deleted ones are prefixed with diff-deleted-.
+ */
+const redlineCss = `
+ins.diff, .diff-inserted {
+    background-color: #e6ffec;
+    text-decoration: underline #1a7f37;
+}
+del.diff, .diff-deleted {
+    background-color: #ffebe9;
+    color: #82071e;
+    text-decoration: line-through;
+}
+.diff-inserted, .diff-deleted {
+    border-left: 3pt solid currentColor;
+    padding-left: 5pt;
+}
+.diff-moved {
+    border-left: 3pt solid #9a6700;
+    padding-left: 5pt;
+}
+.toc-diff-changed > a, .toc-diff-moved > a, .toc-diff-inserted > a {
+    font-weight: bold;
+}
+.toc-diff-changed > a::after, .toc-diff-moved > a::after, .toc-diff-inserted > a::after {
+    content: " \\2022";
+    color: #cf222e;
+}
+.toc-diff-deleted > a {
+    text-decoration: line-through;
+}
+`;
+const sectionStatusNames = {
+  changed: 'Changed',
+  inserted: 'Inserted',
+  deleted: 'Deleted',
+  moved: 'Moved',
+};
+
+const voidElements = [ 'area', 'br', 'col', 'embed', 'hr', 'img', 'input', 'link', 'meta', 'source', 'track', 'wbr' ];
+const tagRegExp = /<!--[\s\S]*?-->|<(\/?)([A-Za-z][\w:-]*)[^>]*?(\/?)>/g;
+const headingRegExp = /^<h([1-6])\b[^>]*?\sid="([^"]*)"[^>]*>([\s\S]*?)<\/h\1>$/;
+const tokenRegExp = /<[^>]*>|&#?\w+;|[\p{L}\p{N}_]+|\s+|[^\s<&\p{L}\p{N}_]|&/gu;
+// replaced as a whole, their text can't hold <ins> or <del>
+const opaqueRegExp = /<svg\b|<math\b|class="katex/;
+
+function stripTags(html) {
+  return html.replace(/<[^>]*>/g, '');
+}
+
+function normalize(html) {
+  return html.replace(/\s+/g, ' ').trim();
+}
+
+// Top-level elements of the HTML, text between them is a block as well.
+function splitBlocks(html) {
+  const blocks = [];
+  let depth = 0;
+  let start = 0;
+  let match;
+  const push = (end) => {
+    const block = html.slice(start, end).trim();
+    if (block) {
+      blocks.push(block);
+    }
+    start = end;
+  };
+  tagRegExp.lastIndex = 0;
+  while ((match = tagRegExp.exec(html)) !== null) {
+    const [ tag, closing, name, selfClosing ] = match;
+    if (depth === 0 && match.index > start) {
+      push(match.index);
+    }
+    if (!name || selfClosing || voidElements.indexOf(name.toLowerCase()) !== -1) {
+      if (depth === 0) {
+        push(match.index + tag.length);
+      }
+    } else if (closing) {
+      depth = Math.max(depth - 1, 0);
+      if (depth === 0) {
+        push(match.index + tag.length);
+      }
+    } else {
+      depth += 1;
+    }
+  }
+  push(html.length);
+  return blocks;
+}
+
+/*
+ * Sections of the blocks: { key, heading, blocks }, the key is the
+ * heading level and text (numbered if repeated), the blocks before the
+ * first heading are the section with an empty key.
+ */
+function splitSections(html) {
+  const sections = [ { key: '', heading: null, blocks: [] } ];
+  const seen = {};
+  splitBlocks(html).forEach((block) => {
+    const heading = block.match(headingRegExp);
+    if (heading) {
+      const text = normalize(stripTags(heading[3]).replace(/^[\d.]+\s/, ''));
+      let key = `h${heading[1]}:${text}`;
+      seen[key] = (seen[key] || 0) + 1;
+      if (seen[key] > 1) {
+        key = `${key}#${seen[key]}`;
+      }
+      sections.push({ key, heading: { level: parseInt(heading[1], 10), id: heading[2], text }, blocks: [ block ] });
+    } else {
+      sections[sections.length - 1].blocks.push(block);
+    }
+  });
+  return sections;
+}
+
+function countWords(html) {
+  return (stripTags(html).match(/[\p{L}\p{N}_]+/gu) || []).length;
+}
+
+// Consecutive deleted or inserted blocks share their wrapper.
+function renderDeleted(blocks) {
+  return `<div class="diff-deleted">\n${blocks.join('\n').replace(/(\sid=")/g, '$1diff-deleted-')}\n</div>`;
+}
+
+function renderInserted(blocks) {
+  return `<div class="diff-inserted">\n${blocks.join('\n')}\n</div>`;
+}
+
+/*
+ * Word diff of the block, keeping the tags of the new one: deleted text
+ * is inserted as <del>, tags of the old one are dropped.
+ */
+function diffBlock(oldBlock, newBlock, stats) {
+  if (opaqueRegExp.test(oldBlock) || opaqueRegExp.test(newBlock)) {
+    stats.deletedWords += countWords(oldBlock);
+    stats.insertedWords += countWords(newBlock);
+    return [ renderDeleted([ oldBlock ]), renderInserted([ newBlock ]) ].join('\n');
+  }
+  const parts = diffArrays(oldBlock.match(tokenRegExp) || [], newBlock.match(tokenRegExp) || []);
+  let html = '';
+  parts.forEach(({ added, removed, value }) => {
+    if (removed) {
+      const text = value.filter(token => !token.startsWith('<')).join('');
+      if (text.trim()) {
+        stats.deletedWords += countWords(text);
+        html += `<del class="diff">${text}</del>`;
+      }
+    } else if (added) {
+      // tags are kept as-is, the text between them is marked
+      let text = '';
+      const flush = () => {
+        if (text.trim()) {
+          stats.insertedWords += countWords(text);
+          html += `<ins class="diff">${text}</ins>`;
+        } else {
+          html += text;
+        }
+        text = '';
+      };
+      value.forEach((token) => {
+        if (token.startsWith('<')) {
+          flush();
+          html += token;
+        } else {
+          text += token;
+        }
+      });
+      flush();
+    } else {
+      html += value.join('');
+    }
+  });
+  return html;
+}
+
+// Whether the blocks can be compared word by word: same element.
+function sameElement(oldBlock, newBlock) {
+  const name = block => (block.match(/^<([A-Za-z][\w-]*)/) || [ '', '' ])[1].toLowerCase();
+  return name(oldBlock) === name(newBlock);
+}
+
+// Returns the HTML of the section's blocks, whether any changed.
+function diffSectionBlocks(oldBlocks, newBlocks, stats) {
+  const out = [];
+  let changed = false;
+  const parts = diffArrays(oldBlocks.map(normalize), newBlocks.map(normalize));
+  let oldIndex = 0;
+  let newIndex = 0;
+  for (let i = 0; i < parts.length; i += 1) {
+    const part = parts[i];
+    if (!part.added && !part.removed) {
+      out.push(...newBlocks.slice(newIndex, newIndex + part.count));
+      oldIndex += part.count;
+      newIndex += part.count;
+      continue;
+    }
+    changed = true;
+    let removed = [];
+    let added = [];
+    if (part.removed) {
+      removed = oldBlocks.slice(oldIndex, oldIndex + part.count);
+      oldIndex += part.count;
+      if (parts[i + 1] && parts[i + 1].added) {
+        i += 1;
+        added = newBlocks.slice(newIndex, newIndex + parts[i].count);
+        newIndex += parts[i].count;
+      }
+    } else {
+      added = newBlocks.slice(newIndex, newIndex + part.count);
+      newIndex += part.count;
+    }
+    // replaced blocks are paired in order while they are the same element
+    let j = 0;
+    while (j < removed.length && j < added.length && sameElement(removed[j], added[j])) {
+      out.push(diffBlock(removed[j], added[j], stats));
+      j += 1;
+    }
+    if (j < removed.length) {
+      stats.deletedWords += removed.slice(j).reduce((count, block) => count + countWords(block), 0);
+      out.push(renderDeleted(removed.slice(j)));
+    }
+    if (j < added.length) {
+      stats.insertedWords += added.slice(j).reduce((count, block) => count + countWords(block), 0);
+      out.push(renderInserted(added.slice(j)));
+    }
+  }
+  return { html: out.join('\n'), changed };
+}
+
+/*
+ * Compares the HTML contents of two revisions, returns { html, sections,
+ * stats }, where sections are [{ id, text, level, status }] of the
+ * sections that changed (see sectionStatusNames) and stats count the
+ * sections and words inserted and deleted.
+ */
+function diffContents(oldHtml, newHtml) {
+  const oldSections = splitSections(oldHtml);
+  const newSections = splitSections(newHtml);
+  const stats = { insertedWords: 0, deletedWords: 0 };
+  const sections = [];
+  const oldByKey = {};
+  oldSections.forEach((section) => {
+    oldByKey[section.key] = section;
+  });
+  const newKeys = {};
+  newSections.forEach((section) => {
+    newKeys[section.key] = true;
+  });
+
+  // sections in both revisions, but out of the common order, were moved
+  const inOrder = {};
+  diffArrays(oldSections.map(s => s.key), newSections.map(s => s.key)).forEach((part) => {
+    if (!part.added && !part.removed) {
+      part.value.forEach((key) => {
+        inOrder[key] = true;
+      });
+    }
+  });
+
+  const out = [];
+  const addSection = (section, status) => {
+    if (section.heading) {
+      sections.push({ ...section.heading, status });
+    }
+  };
+  // deleted sections are kept where they were, after the section that
+  // preceded them
+  const deletedAfter = {};
+  let previous = '';
+  oldSections.forEach((section) => {
+    if (!newKeys[section.key]) {
+      (deletedAfter[previous] = deletedAfter[previous] || []).push(section);
+    } else {
+      previous = section.key;
+    }
+  });
+  const addDeleted = (key) => {
+    (deletedAfter[key] || []).forEach((section) => {
+      stats.deletedWords += section.blocks.reduce((count, block) => count + countWords(block), 0);
+      addSection({ ...section, heading: section.heading && { ...section.heading, id: `diff-deleted-${section.heading.id}` } }, 'deleted');
+      out.push(renderDeleted(section.blocks));
+    });
+  };
+
+  addDeleted('');
+  newSections.forEach((section) => {
+    const old = oldByKey[section.key];
+    if (!old) {
+      if (section.blocks.length > 0) {
+        stats.insertedWords += section.blocks.reduce((count, block) => count + countWords(block), 0);
+        addSection(section, 'inserted');
+        out.push(renderInserted(section.blocks));
+      }
+    } else {
+      const { html, changed } = diffSectionBlocks(old.blocks, section.blocks, stats);
+      if (!inOrder[section.key]) {
+        addSection(section, 'moved');
+        out.push(`<div class="diff-moved">\n${html}\n</div>`);
+      } else {
+        if (changed) {
+          addSection(section, 'changed');
+        }
+        out.push(html);
+      }
+    }
+    if (old) {
+      addDeleted(section.key);
+    }
+  });
+
+  const count = status => sections.filter(s => s.status === status).length;
+  return {
+    html: out.join('\n'),
+    sections,
+    stats: {
+      ...stats,
+      changedSections: count('changed'),
+      insertedSections: count('inserted'),
+      deletedSections: count('deleted'),
+      movedSections: count('moved'),
+    },
+  };
+}
+
+// Flags the ToC entries (see toc.js) of the changed sections.
+function flagToc(html, sections) {
+  const statuses = {};
+  sections.forEach(({ id, status }) => {
+    statuses[id] = status;
+  });
+  return html.replace(/<li class="(toc-h\d toc-item)"><a href="#([^"]*)">/g, (match, classes, id) => (
+    statuses[id] ? `<li class="${classes} toc-diff-${statuses[id]}"><a href="#${id}">` : match));
+}
+
+// Section listing the changes, placed on the front page.
+function genChangeSummary(result, from, to) {
+  const { sections, stats } = result;
+  const counts = [
+    `${stats.changedSections} changed`,
+    `${stats.insertedSections} inserted`,
+    `${stats.deletedSections} deleted`,
+    `${stats.movedSections} moved`,
+  ].join(', ');
+  const items = sections.map(({ id, text, status }) => (
+    `<li class="diff-${status}">${sectionStatusNames[status]}: ${status === 'deleted' ? escapeHtml(text) : `<a href="#${escapeHtml(id)}">${escapeHtml(text)}</a>`}</li>`));
+  return [
+    '<section class="change-summary">',
+    '<h2>Summary of Changes</h2>',
+    `<p>Changes from <strong>${escapeHtml(from)}</strong> to <strong>${escapeHtml(to)}</strong>: sections ${counts}; ${stats.insertedWords} words inserted and ${stats.deletedWords} deleted.</p>`,
+    ...(items.length > 0 ? [ '<ul>', ...items, '</ul>' ] : [ '<p>No changes.</p>' ]),
+    '</section>',
+  ].join('\n');
+}
+
+/*
+ * Renders both revisions of the Markdown source with the same options
+ * (see renderMarkdown()) to a single HTML document with the changes
+ * marked, the ToC entries of the changed sections flagged and the
+ * change summary on the front page: the changeSummary replacement,
+ * appended to the front page unless it uses it. Besides those options:
+ *  - oldFname: file name of the old revision, defaults to fname;
+ *  - from, to: names of the revisions in the summary.
+ *
+ * Returns { html, sections, stats }, see diffContents().
+ */
+function renderRedline(oldSource, newSource, options = {}) {
+  const old = renderDocument(oldSource, { ...options, fname: options.oldFname || options.fname });
+  const doc = renderDocument(newSource, options);
+  const result = diffContents(old.html, doc.html);
+  const changeSummary = genChangeSummary(result, options.from || 'the previous revision', options.to || 'this revision');
+  const frontPage = doc.options.frontPage || '';
+  const docOptions = {
+    ...doc.options,
+    frontPage: frontPage.indexOf('changeSummary') !== -1 ? frontPage : `${frontPage}\n{{{changeSummary}}}`,
+    css: [ doc.options.css, redlineCss ].join('\n'),
+  };
+  const html = genHtmlDocument(result.html, { ...doc.replacements, changeSummary }, docOptions, doc.state);
+  return { ...result, html: flagToc(html, result.sections) };
+}
+
+module.exports = {
+  diffContents,
+  flagToc,
+  genChangeSummary,
+  redlineCss,
+  renderRedline,
+  splitBlocks,
+};
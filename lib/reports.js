@@ -0,0 +1,167 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { escapeHtml } = require('./html');
+const packageInfo = require('../package.json');
+
+/*
+ * Machine-readable spellcheck reports, for CI to annotate the changes.
+ * Each checked document is given as { fname, misspellings, suppressions }
+ * (see spellCheckDocument()), misspellings are located in the Markdown
+ * source if the HTML has data-source attributes, otherwise in the HTML
+ * file. Suppressions are counted by ignore rule (see ignore.js).
+ */
+const reportFormats = [ 'json', 'junit', 'sarif' ];
+const reportExtensions = { json: '.json', junit: '.xml', sarif: '.sarif' };
+const sarifSchema = 'https://json.schemastore.org/sarif-2.1.0.json';
+const misspellingRule = 'misspelling';
+
+function toEntry(fname, misspelling) {
+  const { word, lang, alternatives, context, source } = misspelling;
+  return {
+    file: source ? source.fname : fname,
+    line: source ? source.line : null,
+    column: source ? source.column : null,
+    word,
+    lang,
+    suggestions: alternatives,
+    context: (source && source.text !== null ? source.text : context).trim(),
+    html: fname,
+  };
+}
+
+function getEntries(documents) {
+  const entries = [];
+  documents.forEach(({ fname, misspellings }) => {
+    entries.push(...misspellings.map(m => toEntry(fname, m)));
+  });
+  return entries;
+}
+
+// As { html, rule, count }, by document and rule.
+function getSuppressions(documents) {
+  const suppressions = [];
+  documents.forEach(({ fname, suppressions: counts }) => {
+    Object.keys(counts || {}).sort().forEach((rule) => {
+      suppressions.push({ html: fname, rule, count: counts[rule] });
+    });
+  });
+  return suppressions;
+}
+
+function getLocation(entry) {
+  return entry.line ? `${entry.file}:${entry.line}:${entry.column}` : entry.file;
+}
+
+function getMessage(entry) {
+  const suggestions = entry.suggestions.length > 0 ? `, suggestions: ${entry.suggestions.join(', ')}` : '';
+  return `Misspelled word "${entry.word}" (${entry.lang})${suggestions}`;
+}
+
+function genJson(documents) {
+  const report = { misspellings: getEntries(documents), suppressions: getSuppressions(documents) };
+  return `${JSON.stringify(report, null, 2)}\n`;
+}
+
+// A test suite per document, a failed test case per misspelling. The
+// suppressions are properties of the suite.
+function genJunit(documents) {
+  const entries = getEntries(documents);
+  const tests = documents.reduce((count, { misspellings }) => count + Math.max(1, misspellings.length), 0);
+  const suites = documents.map(({ fname, misspellings, suppressions }) => {
+    const rules = Object.keys(suppressions || {}).sort();
+    const properties = rules.length === 0 ? [] : [
+      '    <properties>',
+      ...rules.map(rule => `      <property name="${escapeHtml(`suppressed:${rule}`)}" value="${suppressions[rule]}" />`),
+      '    </properties>',
+    ];
+    const cases = misspellings.length === 0
+      ? [ `    <testcase classname="spellcheck" name="${escapeHtml(fname)}" />` ]
+      : misspellings.map(m => toEntry(fname, m)).map(entry => [
+        `    <testcase classname="spellcheck" name="${escapeHtml(`${getLocation(entry)} ${entry.word}`)}"` +
+          ` file="${escapeHtml(entry.file)}"${entry.line ? ` line="${entry.line}"` : ''}>`,
+        `      <failure type="${misspellingRule}" message="${escapeHtml(getMessage(entry))}">` +
+          `${escapeHtml(`${getLocation(entry)}: ${entry.context}`)}</failure>`,
+        '    </testcase>',
+      ].join('\n'));
+    return [
+      `  <testsuite name="${escapeHtml(fname)}" tests="${Math.max(1, misspellings.length)}" failures="${misspellings.length}">`,
+      ...properties,
+      ...cases,
+      '  </testsuite>',
+    ].join('\n');
+  });
+  return [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<testsuites name="spellcheck" tests="${tests}" failures="${entries.length}">`,
+    ...suites,
+    '</testsuites>',
+    '',
+  ].join('\n');
+}
+
+function toUri(fname) {
+  return path.isAbsolute(fname) ? pathToFileURL(fname).href : fname.split(path.sep).map(encodeURIComponent).join('/');
+}
+
+// SARIF 2.1.0, columns are UTF-16 code units as in JavaScript strings.
+function genSarif(documents) {
+  const results = getEntries(documents).map((entry) => {
+    const region = entry.line ? {
+      region: {
+        startLine: entry.line,
+        startColumn: entry.column,
+        endColumn: entry.column + entry.word.length,
+        snippet: { text: entry.context },
+      },
+    } : {};
+    return {
+      ruleId: misspellingRule,
+      level: 'error',
+      message: { text: getMessage(entry) },
+      locations: [ { physicalLocation: { artifactLocation: { uri: toUri(entry.file) }, ...region } } ],
+      properties: { word: entry.word, lang: entry.lang, suggestions: entry.suggestions, html: entry.html },
+    };
+  });
+  const sarif = {
+    $schema: sarifSchema,
+    version: '2.1.0',
+    runs: [ {
+      tool: {
+        driver: {
+          name: 'spellcheck-html',
+          version: packageInfo.version,
+          informationUri: packageInfo.homepage,
+          rules: [ {
+            id: misspellingRule,
+            shortDescription: { text: 'Misspelled word' },
+            helpUri: packageInfo.homepage,
+          } ],
+        },
+      },
+      columnKind: 'utf16CodeUnits',
+      results,
+      properties: { suppressions: getSuppressions(documents) },
+    } ],
+  };
+  return `${JSON.stringify(sarif, null, 2)}\n`;
+}
+
+// Report of the documents in the given format (see reportFormats).
+function genSpellcheckReport(format, documents) {
+  switch (format) {
+    case 'json':
+      return genJson(documents);
+    case 'junit':
+      return genJunit(documents);
+    case 'sarif':
+      return genSarif(documents);
+    default:
+      throw new Error(`unknown report format: ${format}, expected one of: ${reportFormats.join(', ')}`);
+  }
+}
+
+module.exports = {
+  genSpellcheckReport,
+  reportExtensions,
+  reportFormats,
+};
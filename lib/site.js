@@ -0,0 +1,145 @@
+const fs = require('fs');
+const path = require('path');
+const minimatch = require('minimatch');
+
+const defaultInclude = [ '**/*.md' ];
+const defaultIndexName = 'index.html';
+
+function toPosix(fname) {
+  return fname.split(path.sep).join('/');
+}
+
+function matchesGlobs(relName, options) {
+  const include = options.include && options.include.length > 0 ? options.include : defaultInclude;
+  const exclude = options.exclude || [];
+  return include.some(pattern => minimatch(relName, pattern)) &&
+    !exclude.some(pattern => minimatch(relName, pattern));
+}
+
+// Whether fname is dirname or inside it.
+function isInside(fname, dirname) {
+  const relName = path.relative(dirname, fname);
+  return !relName.startsWith('..') && !path.isAbsolute(relName);
+}
+
+/*
+ * Sorted Markdown files of the directory. Options:
+ *  - recursive: also list the subdirectories, hidden ones are skipped;
+ *  - include, exclude: glob patterns matched against the path relative
+ *    to dirname (ie: drafts/**), include defaults to all .md files.
+ */
+function listMarkdownFiles(dirname, options = {}) {
+  const fnames = [];
+  const walk = (relDir) => {
+    const entries = fs.readdirSync(path.join(dirname, relDir), { encoding: 'utf8', withFileTypes: true });
+    entries.forEach((entry) => {
+      const relName = relDir ? `${relDir}/${entry.name}` : entry.name;
+      if (entry.isDirectory()) {
+        if (options.recursive && !entry.name.startsWith('.')) {
+          walk(relName);
+        }
+      } else if (entry.name.endsWith('.md') && matchesGlobs(relName, options)) {
+        fnames.push(relName);
+      }
+    });
+  };
+  walk('');
+  return fnames.sort().map(relName => path.join(dirname, relName));
+}
+
+/*
+ * Markdown files to build given files and directories (listed with
+ * listMarkdownFiles()). Returns [{ fname, root }], the outputs mirror the
+ * input tree from root: the current directory or, for inputs out of it,
+ * the given directory (or the directory of the given file).
+ */
+function findInputs(args, options = {}) {
+  const cwd = process.cwd();
+  const inputs = [];
+  const seen = {};
+  args.forEach((arg) => {
+    const isDirectory = fs.statSync(arg).isDirectory();
+    let root = '.';
+    if (!isInside(path.resolve(arg), cwd)) {
+      root = isDirectory ? arg : path.dirname(arg);
+    }
+    (isDirectory ? listMarkdownFiles(arg, options) : [ arg ]).forEach((fname) => {
+      const resolved = path.resolve(fname);
+      if (!seen[resolved]) {
+        seen[resolved] = true;
+        inputs.push({ fname, root });
+      }
+    });
+  });
+  return inputs;
+}
+
+function getOutputName(fname, root, outputDir) {
+  return path.join(outputDir, path.relative(root, fname).replace(/[.]md$/, '.html'));
+}
+
+function formatDate(date) {
+  return date instanceof Date ? date.toISOString().slice(0, 10) : date;
+}
+
+/*
+ * Index pages listing the documents: [{ outFile, title, author, date }],
+ * either one for the whole outputDir ('site') or one per directory
+ * ('directory') that also lists its subdirectories. Returns
+ * [{ outFile, dir, entries }], where dir is relative to outputDir and
+ * entries are [{ href, title, author, date }], relative to the index.
+ */
+function getIndexPages(documents, outputDir, mode, indexName = defaultIndexName) {
+  const docs = documents
+    .map(doc => ({ ...doc, dir: toPosix(path.relative(outputDir, path.dirname(doc.outFile))) }))
+    .sort((a, b) => a.outFile.localeCompare(b.outFile));
+  const toEntry = (doc, dir) => ({
+    href: toPosix(path.relative(path.join(outputDir, dir), doc.outFile)),
+    title: doc.title,
+    author: doc.author ? [].concat(doc.author).join(', ') : '',
+    date: doc.date ? formatDate(doc.date) : '',
+  });
+
+  if (mode === 'site') {
+    return [ {
+      outFile: path.join(outputDir, indexName),
+      dir: '',
+      entries: docs.map(doc => toEntry(doc, '')),
+    } ];
+  }
+  if (mode !== 'directory') {
+    throw new Error(`unknown index mode ${mode}, expected site or directory`);
+  }
+
+  // directories with documents and their parents, up to outputDir
+  const pages = {};
+  const addPage = (dir) => {
+    if (!pages[dir]) {
+      pages[dir] = { outFile: path.join(outputDir, dir, indexName), dir, dirs: [], entries: [] };
+      if (dir) {
+        const parent = path.posix.dirname(dir) === '.' ? '' : path.posix.dirname(dir);
+        addPage(parent).dirs.push(dir);
+      }
+    }
+    return pages[dir];
+  };
+  docs.forEach(doc => addPage(doc.dir).entries.push(toEntry(doc, doc.dir)));
+  return Object.keys(pages).sort().map((dir) => {
+    const { dirs, ...page } = pages[dir];
+    const subdirs = dirs.sort().map(sub => ({
+      href: `${path.posix.basename(sub)}/${indexName}`,
+      title: `${path.posix.basename(sub)}/`,
+      author: '',
+      date: '',
+    }));
+    return { ...page, entries: subdirs.concat(page.entries) };
+  });
+}
+
+module.exports = {
+  defaultIndexName,
+  findInputs,
+  getIndexPages,
+  getOutputName,
+  listMarkdownFiles,
+};
@@ -0,0 +1,125 @@
+/*
+ * Source line markers: with options.sourceLines, the blocks of the
+ * generated HTML keep the position of their Markdown source as
+ * data-source="file.md:line", so tools checking the HTML (ie:
+ * spellcheck-html.js) can report problems against the source.
+ *
+ * markSourceLines() adds a marker, the line number between the private
+ * use characters U+E000 and U+E001, to the lines starting blocks, after
+ * their prefix (list item, heading, blockquote, definition or footnote).
+ * These are text to marked, unlike comments that would start HTML blocks.
+ * restoreSourceLines() moves the markers found right after a start tag
+ * (<p>, <li>, <td>...) to it as the attribute and drops the others.
+ */
+const { escapeHtml } = require('./html');
+
+const fenceRegExp = /^ *(`{3,}|~{3,})/;
+const markerRegExp = /\uE000\d+\uE001/g;
+const leadingMarkerRegExp = /^\uE000\d+\uE001/;
+const markedTagRegExp = /<([A-Za-z][\w-]*)([^<>]*?)>\s*\uE000(\d+)\uE001/g;
+// blockquotes, list items then heading, definition or footnote definition
+const prefixRegExp = /^((?: {0,3}>[ \t]?)*)([ \t]*(?:(?:[-*+]|\d+[.)])[ \t]+)*)(#{1,6}[ \t]+|:[ \t]+|\[\^[^\]\s]+\]:[ \t]*)?/;
+const indentedCodeRegExp = /^(?: {4,}|\t)/;
+const listItemRegExp = /^[ \t]*(?:[-*+]|\d+[.)])[ \t]/;
+// lines that are not text: admonitions, rules, setext underlines,
+// table delimiters and link definitions
+const structureRegExps = [
+  /^ *:::/,
+  /^ {0,3}([-*_])(?: *\1){2,} *$/,
+  /^ {0,3}(?:=+|-+) *$/,
+  /^ *\|? *:?-+:? *(?:\| *:?-+:? *)*\|? *$/,
+  /^ {0,3}\[[^\]^][^\]]*\]:/,
+];
+// HTML blocks, but text may start with inline math (see math.js)
+const htmlRegExp = /^<(?!!--md2html:math:\d+-->\s*\S)/;
+// comments alone in their line are blocks, text after them starts another
+const commentLineRegExp = /^<!--(?!md2html:)(?:(?!-->).)*-->\s*$/;
+const sourceAttribute = 'data-source';
+
+function isBlank(line) {
+  return line.trim() === '';
+}
+
+/*
+ * Adds the markers to the source, after the fenced code blocks and math
+ * are extracted (so lines still match the file, see fences.js and
+ * math.js), firstLine is its first line in the file.
+ */
+function markSourceLines(source, firstLine) {
+  const lines = source.split('\n');
+  let closing = null;
+  // whether the previous line ended a block (blank, heading...)
+  let ended = true;
+  let quoted = false;
+  for (let i = 0; i < lines.length; i += 1) {
+    const line = lines[i];
+    const fence = line.match(fenceRegExp);
+    if (closing || fence) {
+      if (!closing) {
+        closing = fence[1];
+      } else if (line.trim() === closing) {
+        closing = null;
+      }
+      ended = true;
+      continue;
+    }
+    if (isBlank(line) || structureRegExps.some(re => re.test(line))) {
+      ended = true;
+      quoted = false;
+      continue;
+    }
+    if (indentedCodeRegExp.test(line) && !listItemRegExp.test(line)) {
+      continue;
+    }
+    const prefix = line.match(prefixRegExp);
+    // table rows are marked in their first cell
+    const row = line.slice(prefix[0].length).match(/^\|[ \t]*/);
+    const start = prefix[0].length + (row ? row[0].length : 0);
+    const text = line.slice(start);
+    const isQuote = prefix[1] !== '';
+    const starts = ended || !!prefix[2] || !!prefix[3] || (isQuote && !quoted) || !!row;
+    ended = /^#/.test(prefix[3] || '') || commentLineRegExp.test(text);
+    quoted = isQuote;
+    if (starts && text && !htmlRegExp.test(text)) {
+      lines[i] = `${line.slice(0, start)}\uE000${firstLine + i}\uE001${text}`;
+    }
+  }
+  return lines.join('\n');
+}
+
+// Splits the marker at the start of the text given to the renderers.
+function splitSourceLine(text) {
+  const marker = text.match(leadingMarkerRegExp);
+  return marker ? { marker: marker[0], text: text.slice(marker[0].length) } : { marker: '', text };
+}
+
+// Places the marker after the first start tag of the HTML.
+function insertSourceLine(html, marker) {
+  return marker ? html.replace(/^(\s*<[A-Za-z][^<>]*>)/, `$1${marker}`) : html;
+}
+
+function restoreSourceLines(html, chapter) {
+  return html
+    .replace(markedTagRegExp, (match, name, attributes, line) => {
+      if (/\/$/.test(attributes)) {
+        return match;
+      }
+      return `<${name}${attributes} ${sourceAttribute}="${escapeHtml(`${chapter}:${line}`)}">`;
+    })
+    .replace(markerRegExp, '');
+}
+
+// Returns { fname, line } of the attribute value, null if invalid.
+function parseSourceLine(value) {
+  const match = (value || '').match(/^(.+):(\d+)$/);
+  return match ? { fname: match[1], line: parseInt(match[2], 10) } : null;
+}
+
+module.exports = {
+  insertSourceLine,
+  markSourceLines,
+  parseSourceLine,
+  restoreSourceLines,
+  sourceAttribute,
+  splitSourceLine,
+};
@@ -0,0 +1,560 @@
+const cheerio = require('cheerio');
+const { Aspell, createChecker, defaultAspellOption, getBackend } = require('./checkers');
+const {
+  countSuppression,
+  defaultIgnorePatterns,
+  findIgnoredRanges,
+  getDocumentWords,
+  getIgnorePatterns,
+  matchesSelector,
+  parseSuppressionComment,
+} = require('./ignore');
+const { parseSourceLine, sourceAttribute } = require('./sourcelines');
+
+const defaultRootElement = '#md-contents';
+const defaultLang = 'en_US';
+const defaultIgnoreElements = [ 'pre', 'code', 'a', 'svg', 'math', 'script', 'style' ];
+// lines after the estimated one where a misspelled word is looked up
+const maxSourceLookahead = 10;
+const misspellingStyle = 'abbr.misspelling { text-decoration: underline red; background-color: rgba(255, 40, 100, 0.25); }';
+
+function cleanupLang(lang) {
+  return lang.replace(/[.@].*$/, '').replace('-', '_');
+}
+
+/*
+ * Creates the checker of the language with its backend (see checkers.js),
+ * the wordlist backend knows options.wordlists[lang] (or '*').
+ */
+function startChecker(options, lang) {
+  const wordlists = options.wordlists || {};
+  return createChecker(getBackend(options, lang), lang, {
+    aspellOption: options.aspellOption || defaultAspellOption,
+    personalDict: (options.personalDict || {})[lang],
+    words: wordlists[lang] || wordlists['*'],
+    verbose: options.verbose,
+  });
+}
+
+// Create checkers for the main language and the ones in elementLang, the
+// languages of lang attributes are started once found (see getChecker()).
+function createCheckers(options) {
+  const lang = cleanupLang(options.lang || defaultLang);
+  const checkers = {};
+  const langs = [ lang ];
+  const elementLang = options.elementLang || {};
+  for (const el in elementLang) {
+    if (elementLang.hasOwnProperty(el)) {
+      langs.push(elementLang[el]);
+    }
+  }
+  for (let i = 0; i < langs.length; i += 1) {
+    if (!checkers[langs[i]]) {
+      checkers[langs[i]] = startChecker(options, langs[i]);
+    }
+  }
+  return checkers;
+}
+
+function closeCheckers(checkers) {
+  for (const lang in checkers) {
+    if (checkers.hasOwnProperty(lang)) {
+      checkers[lang].end();
+    }
+  }
+}
+
+// Ends the checkers that are not among the given ones, so the process
+// exits once the document is checked.
+function closeStartedCheckers(checkers, given) {
+  const started = {};
+  Object.keys(checkers).filter(lang => checkers[lang] !== given[lang]).forEach((lang) => {
+    started[lang] = checkers[lang];
+  });
+  closeCheckers(started);
+}
+
+// options.knownWords as { lang: Set }, words listed for '*' are known in
+// all languages.
+function getKnownWordSets(knownWords) {
+  const sets = {};
+  for (const lang in knownWords) {
+    if (knownWords.hasOwnProperty(lang)) {
+      const key = lang === '*' ? lang : cleanupLang(lang);
+      sets[key] = new Set([ ...(sets[key] || []), ...knownWords[lang] ]);
+    }
+  }
+  return sets;
+}
+
+function isKnownWord(options, word, lang) {
+  const { knownWords } = options;
+  return !!((knownWords[lang] && knownWords[lang].has(word)) || (knownWords['*'] && knownWords['*'].has(word)));
+}
+
+// Checkers of the languages found in the document are started on demand.
+function getChecker(options, lang) {
+  if (!options.checkers[lang]) {
+    try {
+      options.checkers[lang] = startChecker(options, lang);
+    } catch (exc) {
+      exc.message = `${options.fname || 'document'}: ${exc.message}`;
+      exc.category = 'setup';
+      throw exc;
+    }
+  }
+  const checker = options.checkers[lang];
+  if (checker.failure) {
+    throw checker.failure;
+  }
+  return checker;
+}
+
+/*
+ * Whether the word isn't checked: it's part of a token matched by an
+ * ignore pattern (counted once per token) or allowed by the document.
+ */
+function isSuppressedWord(options, word, offset, ranges) {
+  const range = ranges.find(r => offset < r.end && offset + word.length > r.start);
+  if (range) {
+    if (!range.counted) {
+      range.counted = true;
+      countSuppression(options.suppressions, `pattern:${range.name}`);
+    }
+    return true;
+  }
+  if (options.documentWords.has(word)) {
+    countSuppression(options.suppressions, 'comment:words');
+    return true;
+  }
+  return false;
+}
+
+// spellcheck-disable, spellcheck-enable and spellcheck-disable-next
+// comments apply to what follows in the document.
+function applySuppressionComment(node, options) {
+  const comment = parseSuppressionComment(node.data);
+  if (!comment) {
+    return;
+  }
+  if (comment.type === 'disable' && !options.disabled) {
+    options.disabled = true;
+    countSuppression(options.suppressions, 'comment:disable');
+  } else if (comment.type === 'enable') {
+    options.disabled = false;
+  } else if (comment.type === 'disable-next') {
+    options.skipNext = true;
+  }
+}
+
+async function spellCheckChildren(node, options, lang) {
+  const misspellings = [];
+  const children = node.children;
+  for (let i = 0; i < children.length; i += 1) {
+    if (options.skipNext && children[i].type === 'tag') {
+      options.skipNext = false;
+      countSuppression(options.suppressions, 'comment:disable-next');
+      continue;
+    }
+    misspellings.push(... await spellCheckNode(children[i], options, lang));
+    if (misspellings.length > 0 && options.failFast) {
+      break;
+    }
+  }
+  // spellcheck-disable-next only applies to an element at its level
+  options.skipNext = false;
+
+  return misspellings;
+}
+
+function spellCheckText(node, options, lang) {
+  if (options.disabled) {
+    return [];
+  }
+  const { data } = node;
+  const parts = Aspell.splitWordsAndSpaces(data);
+  const ranges = findIgnoredRanges(data, options.ignorePatterns);
+  const promises = [];
+  const checker = getChecker(options, lang);
+  let offset = 0;
+  for (let i = 0; i < parts.length; i += 1) {
+    const word = parts[i];
+    if (Aspell.isWord(word) && !isKnownWord(options, word, lang) && !isSuppressedWord(options, word, offset, ranges)) {
+      const info = { offset, lang };
+      promises.push(checker.check(word).then(({ success, alternatives }) => ({ success, word, info, alternatives })));
+    } else {
+      promises.push(Promise.resolve({ success: true, word, offset, lang }));
+    }
+    offset += word.length;
+  }
+  return Promise.all(promises).then((spellCheckResults) => {
+    if (spellCheckResults.every(r => r.success)) {
+      return [];
+    }
+    return [ { node, spellCheckResults } ];
+  });
+}
+
+// Language of the lang (or xml:lang) attribute of the element, if any.
+function getLangAttribute(node) {
+  const attribs = node.attribs || {};
+  const lang = attribs.lang || attribs['xml:lang'];
+  return lang ? cleanupLang(lang) : null;
+}
+
+// Whether lang is the given one or a variant of it (ie: pt_BR of pt).
+function isLangVariant(lang, base) {
+  const wanted = cleanupLang(base).toLowerCase();
+  const actual = lang.toLowerCase();
+  return actual === wanted || actual.startsWith(`${wanted}_`);
+}
+
+// The :lang(pt) pseudo-class for options.elementLang selectors, as in CSS
+// the language is given by the closest lang attribute.
+function matchesLang(element, base) {
+  for (let el = element; el; el = el.parent) {
+    const lang = getLangAttribute(el);
+    if (lang) {
+      return isLangVariant(lang, base);
+    }
+  }
+  return false;
+}
+
+/*
+ * Language of the element: its lang attribute, the first options.elementLang
+ * selector it matches or the parent language. A lang attribute that the
+ * parent language is a variant of, such as en within en_US, keeps it.
+ */
+function getNodeLang(node, options, parentNodeLang) {
+  const lang = getLangAttribute(node);
+  if (lang) {
+    return parentNodeLang && isLangVariant(parentNodeLang, lang) ? parentNodeLang : lang;
+  }
+  const selectors = Object.keys(options.elementLang);
+  for (let i = 0; i < selectors.length; i += 1) {
+    if (options.doc(node).is(selectors[i])) {
+      return options.elementLang[selectors[i]];
+    }
+  }
+  return parentNodeLang;
+}
+
+// Language of the root element, given by its closest lang attribute.
+function getRootLang(root, options) {
+  const ancestors = [];
+  for (let el = root; el && el.type === 'tag'; el = el.parent) {
+    ancestors.unshift(el);
+  }
+  return ancestors.reduce((lang, el) => {
+    const attribute = getLangAttribute(el);
+    return attribute && !isLangVariant(lang, attribute) ? attribute : lang;
+  }, options.lang);
+}
+
+// The options.ignoreElement selector the element matches, if any.
+function getIgnoreSelector(node, options) {
+  // aria-hidden elements aren't text, such as icons or the visual part
+  // of rendered math (which has its MathML version)
+  if (node.attribs && node.attribs['aria-hidden'] === 'true') {
+    return '[aria-hidden=true]';
+  }
+  return options.ignoreElement.find(selector => matchesSelector(options.doc, node, selector));
+}
+
+function spellCheckTag(node, options, parentNodeLang) {
+  const { children } = node;
+  const ignoreSelector = getIgnoreSelector(node, options);
+  if (ignoreSelector) {
+    countSuppression(options.suppressions, `element:${ignoreSelector}`);
+    if (options.verbose > 1) {
+      console.error('DEBUG: ignored element:', node);
+    }
+    return [];
+  }
+
+  const lang = getNodeLang(node, options, parentNodeLang);
+  if (children) {
+    return spellCheckChildren(node, options, lang);
+  }
+  console.error('UNHANDLED: spell check without children:', node);
+  return [];
+}
+
+async function spellCheckNode(node, options, parentNodeLang) {
+  switch (node.type) {
+    case 'text':
+      return spellCheckText(node, options, parentNodeLang);
+    case 'tag': {
+      return spellCheckTag(node, options, parentNodeLang);
+    }
+    case 'comment':
+      applySuppressionComment(node, options);
+      return [];
+    default:
+      console.error(`UNHANDLED: unexpected node type: ${node.type}, name: ${node.name}`);
+      return [];
+  }
+}
+
+function getOptions(baseOptions) {
+  return {
+    rootElement: defaultRootElement,
+    elementLang: {},
+    ignoreElement: defaultIgnoreElements,
+    personalDict: {},
+    aspellOption: defaultAspellOption,
+    verbose: 0,
+    ...baseOptions,
+    lang: cleanupLang(baseOptions.lang || defaultLang),
+    knownWords: getKnownWordSets(baseOptions.knownWords || {}),
+    ignorePatterns: getIgnorePatterns(baseOptions.ignorePattern || Object.keys(defaultIgnorePatterns)),
+    // a copy, the ones started for the document are ended with it
+    checkers: { ...baseOptions.checkers },
+    // see ignore.js, disabled and skipNext are set by comments
+    suppressions: {},
+    disabled: false,
+    skipNext: false,
+    // source lines by file name, see getSourcePosition()
+    sources: {},
+  };
+}
+
+/*
+ * The closest element with the source line (see sourcelines.js), as
+ * { element, preceding }: an ancestor or, as for table cells after the
+ * first one, a preceding element.
+ */
+function findSourceElement(doc, node) {
+  const closest = doc(node.parent).closest(`[${sourceAttribute}]`);
+  if (closest.length > 0) {
+    return { element: closest[0], preceding: false };
+  }
+  for (let el = node.parent; el && el.parent; el = el.parent) {
+    const previous = doc(el).prevAll().toArray();
+    for (let i = 0; i < previous.length; i += 1) {
+      const inner = previous[i].attribs[sourceAttribute] ? doc(previous[i]) : doc(previous[i]).find(`[${sourceAttribute}]`).last();
+      if (inner.length > 0) {
+        return { element: inner[0], preceding: true };
+      }
+    }
+  }
+  return null;
+}
+
+/*
+ * Text of the element before the node, <br> as line breaks. Whitespace
+ * between tags is not text, marked places line breaks between blocks.
+ * If the node is not within the element, all its text is before it.
+ */
+function getTextBefore(element, target) {
+  let text = '';
+  let found = false;
+  const walk = (node) => {
+    if (found || node === target) {
+      found = true;
+      return;
+    }
+    if (node.type === 'text' && node.data.trim()) {
+      text += node.data;
+    } else if (node.type === 'tag' && node.name === 'br') {
+      text += '\n';
+    }
+    (node.children || []).forEach(walk);
+  };
+  (element.children || []).forEach(walk);
+  return found ? text : '';
+}
+
+function getSourceLines(options, fname) {
+  if (options.sources[fname] === undefined) {
+    const contents = options.loadSource ? options.loadSource(fname) : null;
+    options.sources[fname] = typeof contents === 'string' ? contents.split(/\r?\n/) : null;
+  }
+  return options.sources[fname];
+}
+
+function wholeWordRegExp(word) {
+  return new RegExp(`(?<!\\p{L})${word}(?!\\p{L})`, 'gu');
+}
+
+// Looks the word up in the source from the estimated line, skipping the
+// occurrences before it in the same line of text.
+function findSourceWord(lines, word, line, skip) {
+  const last = Math.min(lines.length, line + maxSourceLookahead);
+  for (let i = line; i <= last; i += 1) {
+    const matches = [ ...lines[i - 1].matchAll(wholeWordRegExp(word)) ];
+    if (matches.length > 0) {
+      const match = matches[Math.min(i === line ? skip : 0, matches.length - 1)];
+      return { line: i, column: match.index + 1 };
+    }
+  }
+  return null;
+}
+
+/*
+ * Position of the misspelled word in the Markdown source, given by the
+ * data-source attributes of md2html.js --source-lines: the line of the
+ * block plus the line breaks before the word. The column, and the line
+ * if the text was reflowed, is found in the source if options.loadSource
+ * gives it, otherwise it's estimated from the text.
+ */
+function getSourcePosition(options, node, offset, word) {
+  const found = findSourceElement(options.doc, node);
+  const source = found && parseSourceLine(found.element.attribs[sourceAttribute]);
+  if (!source) {
+    return null;
+  }
+  const { element, preceding } = found;
+  let before = getTextBefore(element, node);
+  if (preceding && !/^t[dh]$/.test(element.name)) {
+    // the text comes after the preceding element, but cells share the row
+    before += '\n';
+  }
+  const lines = (before + node.data.slice(0, offset)).split('\n');
+  const lineText = lines[lines.length - 1];
+  const position = { line: source.line + lines.length - 1, column: lineText.length + 1 };
+  const sourceLines = getSourceLines(options, source.fname);
+  if (sourceLines && position.line <= sourceLines.length) {
+    const skip = (lineText.match(wholeWordRegExp(word)) || []).length;
+    Object.assign(position, findSourceWord(sourceLines, word, position.line, skip));
+  }
+  return {
+    fname: source.fname,
+    ...position,
+    text: sourceLines && position.line <= sourceLines.length ? sourceLines[position.line - 1] : null,
+  };
+}
+
+function toMisspellings(results, options) {
+  const misspellings = [];
+  for (let i = 0; i < results.length; i += 1) {
+    const { node, spellCheckResults } = results[i];
+    for (let j = 0; j < spellCheckResults.length; j += 1) {
+      const r = spellCheckResults[j];
+      if (!r.success) {
+        misspellings.push({
+          word: r.word,
+          lang: r.info.lang,
+          alternatives: r.alternatives,
+          offset: r.info.offset,
+          context: node.data,
+          source: getSourcePosition(options, node, r.info.offset, r.word),
+        });
+      }
+    }
+  }
+  return misspellings;
+}
+
+function formatSource(source) {
+  return `${source.fname}:${source.line}:${source.column}`;
+}
+
+/*
+ * Spell checks the HTML contents, returns a promise that resolves to:
+ *  - misspellings: list of { word, lang, alternatives, offset, context,
+ *    source }, where offset is the position of the word in the context
+ *    text and source, if the HTML has data-source attributes (see
+ *    sourcelines.js), is { fname, line, column, text } of the word in
+ *    the Markdown, text being the source line (null if not loaded);
+ *  - html: copy of the document with misspellings marked as
+ *    <abbr class="misspelling">, or null if there are none;
+ *  - suppressions: map of ignore rule to the number of times it left
+ *    something out (see ignore.js).
+ *
+ * Options:
+ *  - rootElement: JQuery-like selector of the element to check;
+ *  - lang: main language of the document, lang attributes (ie: of
+ *    <html> or <span lang="pt-BR">) apply to their elements;
+ *  - elementLang: map of CSS selector (ie: em, .foreign, :lang(pt)) to
+ *    language, used for the elements without lang attribute;
+ *  - ignoreElement: list of CSS selectors of the elements to ignore;
+ *  - ignorePattern: list of built-in pattern names (see
+ *    defaultIgnorePatterns, all by default) or regular expressions of
+ *    the tokens to ignore;
+ *  - knownWords: map of language ('*' for all) to list of words that
+ *    are always correct, such as the glossary terms (see glossary.js);
+ *  - checkers: map of language to checker instances (see checkers.js),
+ *    missing ones are created with their backend, personalDict and
+ *    aspellOption, and ended once the document is checked;
+ *  - backend: map of language ('*' for all) to backend name, aspell by
+ *    default (see checkerBackends);
+ *  - wordlists: map of language ('*' for all) to the words known by the
+ *    wordlist backend;
+ *  - loadSource(fname): returns the contents of the Markdown source
+ *    files, used to find the column of the words;
+ *  - failFast: stop on the first misspelled text;
+ *  - fname, verbose: used in messages.
+ */
+async function spellCheckDocument(html, baseOptions = {}) {
+  const doc = cheerio.load(html, { pseudos: { lang: matchesLang } });
+  const root = doc(baseOptions.rootElement || defaultRootElement)[0];
+  const options = {
+    ...getOptions(baseOptions),
+    doc,
+    root,
+  };
+  if (!root || root.length === 0) {
+    throw new Error(`Could not find root element using JQuery selector: ${options.rootElement}`);
+  }
+  options.documentWords = getDocumentWords(doc.root()[0]);
+
+  let results;
+  try {
+    results = await spellCheckChildren(root, options, getRootLang(root, options));
+  } finally {
+    closeStartedCheckers(options.checkers, baseOptions.checkers || {});
+  }
+  const { suppressions } = options;
+  if (options.verbose > 0) {
+    Object.keys(suppressions).sort().forEach((rule) => {
+      console.error(`${options.fname || 'document'} suppressed ${rule}: ${suppressions[rule]}`);
+    });
+  }
+  if (results.length === 0) {
+    return { misspellings: [], html: null, suppressions };
+  }
+
+  const misspellings = toMisspellings(results, options);
+  if (options.verbose > 0) {
+    misspellings.forEach(({ word, lang, source }) => {
+      console.error(`${source ? formatSource(source) : options.fname || 'document'} misspelled ${lang}: ${word}`);
+    });
+  }
+  for (let i = 0; i < results.length; i += 1) {
+    const { node, spellCheckResults } = results[i];
+    doc(node).replaceWith(spellCheckResults.map((r) => {
+      if (r.success) {
+        return r.word;
+      }
+      const { lang } = r.info;
+      return doc(`<abbr class="misspelling lang-${lang}" />`)
+        .text(r.word)
+        .attr('title', r.alternatives.join(', ') + '?');
+    }));
+  }
+
+  doc('head').append(doc('<style type="text/css" />').text(misspellingStyle));
+  return { misspellings, html: doc.html(), suppressions };
+}
+
+// Same as spellCheckDocument(), resolves to the misspellings only.
+async function spellCheckHtml(html, options = {}) {
+  const { misspellings } = await spellCheckDocument(html, options);
+  return misspellings;
+}
+
+module.exports = {
+  Aspell,
+  cleanupLang,
+  closeCheckers,
+  createCheckers,
+  defaultAspellOption,
+  defaultIgnoreElements,
+  defaultIgnorePatterns,
+  defaultLang,
+  defaultRootElement,
+  spellCheckDocument,
+  spellCheckHtml,
+};
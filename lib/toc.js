@@ -0,0 +1,124 @@
+const defaultToCTitle = 'Table of Contents';
+const defaultToCMinDepth = 1;
+const defaultToCMaxDepth = 5;
+// Headings with these classes are not listed: # Title {.unlisted}
+const unlistedClasses = [ 'unlisted', 'no-toc' ];
+
+const headingRegExp = /<h([1-6]) id="([^"]*)"([^>]*)>([\s\S]*?)<\/h\1>/g;
+
+function getClasses(attrs) {
+  const match = attrs.match(/\sclass="([^"]*)"/);
+  return match ? match[1].split(/\s+/).filter(c => !!c) : [];
+}
+
+// Headings generated by the renderer, in order: { level, id, classes, html }
+function extractHeadings(html) {
+  const headings = [];
+  let match;
+  headingRegExp.lastIndex = 0;
+  while ((match = headingRegExp.exec(html)) !== null) {
+    headings.push({
+      level: parseInt(match[1], 10),
+      id: match[2],
+      classes: getClasses(match[3]),
+      // links can't be nested inside the ToC links
+      html: match[4].replace(/<\/?a\b[^>]*>/g, ''),
+      index: match.index,
+      end: headingRegExp.lastIndex,
+    });
+  }
+  return headings;
+}
+
+function getDepth(options) {
+  const min = parseInt(options.tocMinDepth || defaultToCMinDepth, 10);
+  const max = parseInt(options.tocMaxDepth || defaultToCMaxDepth, 10);
+  if (!(min >= 1 && max <= 6 && min <= max)) {
+    throw new Error(`Invalid ToC depth: ${min}..${max}. Expected 1 <= min <= max <= 6.`);
+  }
+  return { min, max };
+}
+
+function filterHeadings(headings, min, max) {
+  return headings.filter(h => h.level >= min && h.level <= max &&
+                         !h.classes.some(c => unlistedClasses.indexOf(c) !== -1));
+}
+
+// Nests the headings by level, skipped levels (h1 > h3) are tolerated.
+function nestHeadings(headings) {
+  const root = { children: [] };
+  const stack = [ { level: 0, node: root } ];
+  for (let i = 0; i < headings.length; i += 1) {
+    const heading = headings[i];
+    while (stack.length > 1 && stack[stack.length - 1].level >= heading.level) {
+      stack.pop();
+    }
+    const node = { heading, children: [] };
+    stack[stack.length - 1].node.children.push(node);
+    stack.push({ level: heading.level, node });
+  }
+  return root.children;
+}
+
+function genList(nodes, attrs) {
+  const items = nodes.map(({ heading, children }) => [
+    `<li class="toc-h${heading.level} toc-item"><a href="#${heading.id}">${heading.html}</a>`,
+    children.length > 0 ? '\n' + genList(children, '') + '\n' : '',
+    '</li>',
+  ].join(''));
+  return [ `<ul${attrs}>`, ...items, '</ul>' ].join('\n');
+}
+
+// Headings listed in the ToC (see genToc()), nested by level.
+function getTocHeadings(htmlInnerContents, options = {}) {
+  const { min, max } = getDepth(options);
+  return nestHeadings(filterHeadings(extractHeadings(htmlInnerContents), min, max));
+}
+
+/*
+ * Nested list of headings between options.tocMinDepth and
+ * options.tocMaxDepth (levels), skipping those with the unlisted class.
+ */
+function genToc(title, htmlInnerContents, options = {}) {
+  const { min, max } = getDepth(options);
+  const headings = filterHeadings(extractHeadings(htmlInnerContents), min, max);
+  return [
+    `<h1 id="toc">${title === true ? defaultToCTitle : title}</h1>`,
+    genList(nestHeadings(headings), ' id="toc-contents"'),
+  ].join('\n');
+}
+
+// Inserts a list of the chapter's (h1) sections after each h1.
+function insertChapterTocs(html, options = {}) {
+  const { max } = getDepth(options);
+  const headings = extractHeadings(html);
+  let ret = '';
+  let last = 0;
+  for (let i = 0; i < headings.length; i += 1) {
+    if (headings[i].level !== 1) {
+      continue;
+    }
+    const sections = [];
+    for (let j = i + 1; j < headings.length && headings[j].level > 1; j += 1) {
+      sections.push(headings[j]);
+    }
+    const listed = filterHeadings(sections, 2, max);
+    if (listed.length === 0) {
+      continue;
+    }
+    ret += html.slice(last, headings[i].end);
+    ret += '\n' + genList(nestHeadings(listed), ' class="chapter-toc"');
+    last = headings[i].end;
+  }
+  return ret + html.slice(last);
+}
+
+module.exports = {
+  defaultToCMaxDepth,
+  defaultToCMinDepth,
+  defaultToCTitle,
+  genToc,
+  getTocHeadings,
+  insertChapterTocs,
+  nestHeadings,
+};
@@ -0,0 +1,162 @@
+const { escapeHtml, replaceOutsideCode, stripTags } = require('./html');
+
+const defaultXrefNames = {
+  fig: 'Figure',
+  tbl: 'Table',
+  lst: 'Listing',
+  sec: 'Section',
+};
+const defaultListTitles = {
+  lof: 'List of Figures',
+  lot: 'List of Tables',
+};
+const xrefRegExp = /\[@((fig|tbl|lst|sec):[^\s\]]+)\]/g;
+
+function getLabelKind(label) {
+  const idx = label ? label.indexOf(':') : -1;
+  const kind = idx === -1 ? null : label.slice(0, idx);
+  return defaultXrefNames[kind] ? kind : null;
+}
+
+/*
+ * Labels given to headings, figures, tables and code listings, numbered
+ * in the document order, and references to them ([@fig:label]).
+ *
+ * Options:
+ *  - numbering: 'chapter' (default) to number per chapter (h1), such as
+ *    "Figure 2.1", or 'document' to number sequentially;
+ *  - names: map of kind (fig, tbl, lst, sec) to the caption name.
+ */
+class CrossReferences {
+  constructor(options = {}) {
+    this.numbering = options.numbering || 'chapter';
+    if (this.numbering !== 'chapter' && this.numbering !== 'document') {
+      throw new Error(`Invalid cross reference numbering: ${this.numbering}. Use 'chapter' or 'document'.`);
+    }
+    this.names = { ...defaultXrefNames, ...options.names };
+    this.labels = {};
+    this.errors = [];
+    // of the current chapter, the ones outside numbered chapters (or of
+    // the whole document) are numbered in a single sequence.
+    this.counters = {};
+    this.documentCounters = {};
+    this.chapter = null;
+    this.sections = [];
+  }
+
+  // Must be called for every heading, in order, returns the section
+  // number (ie: "2.1.3"). Unnumbered headings return null and don't
+  // change the numbering, the items of unnumbered chapters are numbered
+  // as the ones before the first chapter ("Table 3").
+  heading(level, numbered = true) {
+    if (!numbered) {
+      if (level === 1) {
+        this.chapter = null;
+      }
+      return null;
+    }
+    this.sections = this.sections.slice(0, level);
+    while (this.sections.length < level) {
+      this.sections.push(0);
+    }
+    this.sections[level - 1] += 1;
+    if (level === 1) {
+      this.chapter = this.sections[0];
+      this.counters = {};
+    }
+    return this.sections.join('.').replace(/^(0[.])+/, '');
+  }
+
+  nextNumber(kind) {
+    if (this.numbering === 'chapter' && this.chapter) {
+      this.counters[kind] = (this.counters[kind] || 0) + 1;
+      return `${this.chapter}.${this.counters[kind]}`;
+    }
+    this.documentCounters[kind] = (this.documentCounters[kind] || 0) + 1;
+    return `${this.documentCounters[kind]}`;
+  }
+
+  /*
+   * Registers the label, returns { label, kind, number, name, caption }.
+   * For sections, number must be given (see heading()).
+   */
+  add(label, caption, context, number) {
+    const kind = getLabelKind(label);
+    if (!kind) {
+      this.errors.push(`${context}: invalid label ${label}, expected one of: ${Object.keys(defaultXrefNames).map(k => k + ':').join(', ')}`);
+      return null;
+    }
+    if (this.labels[label]) {
+      this.errors.push(`${context}: duplicated label ${label}, first defined in ${this.labels[label].context}`);
+      return null;
+    }
+    const entry = {
+      label,
+      kind,
+      number: kind === 'sec' ? number : this.nextNumber(kind),
+      name: this.names[kind],
+      caption,
+      context,
+    };
+    this.labels[label] = entry;
+    return entry;
+  }
+
+  // Caption prefix, such as "Figure 2.1". Unnumbered sections use their
+  // title instead.
+  static title(entry) {
+    if (!entry.number) {
+      return entry.caption;
+    }
+    return `${entry.name} ${entry.number}`;
+  }
+
+  // Replaces [@label] outside code with links to the labeled element.
+  resolve(html, context) {
+    return replaceOutsideCode(html, text => text.replace(xrefRegExp, (match, label) => {
+      const entry = this.labels[label];
+      if (!entry) {
+        this.errors.push(`${context}: unresolved reference ${match}`);
+        return match;
+      }
+      return `<a class="xref xref-${entry.kind}" href="#${escapeHtml(label)}">${CrossReferences.title(entry)}</a>`;
+    }));
+  }
+
+  list(kind) {
+    const ret = [];
+    for (const label in this.labels) {
+      if (this.labels.hasOwnProperty(label) && this.labels[label].kind === kind) {
+        ret.push(this.labels[label]);
+      }
+    }
+    return ret;
+  }
+
+  // Generates the "List of Figures" (lof) or "List of Tables" (lot)
+  genList(id, title) {
+    const kind = id === 'lof' ? 'fig' : 'tbl';
+    const items = this.list(kind).map((entry) => {
+      const caption = stripTags(entry.caption || '');
+      return `<li class="${id}-item"><a href="#${escapeHtml(entry.label)}">${CrossReferences.title(entry)}${caption ? ': ' + caption : ''}</a></li>`;
+    });
+    return [
+      `<h1 id="${id}">${title === true ? defaultListTitles[id] : title}</h1>`,
+      `<ul id="${id}-contents">`,
+      ...items,
+      '</ul>',
+    ].join('\n');
+  }
+
+  check() {
+    if (this.errors.length > 0) {
+      throw new Error(`cross reference errors:\n${this.errors.join('\n')}`);
+    }
+  }
+}
+
+module.exports = {
+  CrossReferences,
+  defaultXrefNames,
+  getLabelKind,
+};
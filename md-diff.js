@@ -0,0 +1,134 @@
+#!/usr/bin/env node
+
+require('dotenv').config();
+
+const path = require('path');
+const process = require('process');
+const { execFileSync } = require('child_process');
+const {
+  addRenderOptions,
+  copyAssets,
+  createAssetResolver,
+  getAssetsOptions,
+  loadCssFiles,
+  loadFile,
+  loadRenderOptions,
+  saveFile,
+} = require('./lib/cli');
+const { applyConfig, envOptionAsArray } = require('./lib/config');
+const { renderRedline } = require('./lib/redline');
+
+const defaultOutputDir = './out';
+
+// Rendering options of md2html.js, described as they apply to the redline
+const redlineDescribes = {
+  'front-page': 'Front Page to file include (inline, HTML with Mustache templates), the change summary is appended unless it uses {{{changeSummary}}}.',
+  toc: 'Generate Table of Contents, changed sections are flagged. May contain a string to state section text.',
+};
+
+const yargs = addRenderOptions(require('yargs').usage('Usage:\n$0 old.md new.md\n$0 --from REVISION [--to REVISION] file.md'), redlineDescribes)
+      .option('from', {
+        describe: 'Git revision of the old version of the given file (ie: v1.0, HEAD~2).',
+        default: process.env.DIFF_FROM,
+      })
+      .option('to', {
+        describe: 'Git revision of the new version of the given file, defaults to the file as it is.',
+        default: process.env.DIFF_TO,
+      })
+      .option('output', {
+        alias: 'o',
+        describe: `Output file, defaults to NAME-redline.html in ${defaultOutputDir}.`,
+        default: process.env.OUTPUT,
+      })
+      .alias({
+        h: 'help',
+      })
+      .help('help')
+      .version(false);
+
+let argv;
+try {
+  argv = applyConfig(yargs, 'md-diff').argv;
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
+
+// The file as of the git revision, read from the repository it is in.
+function loadRevision(fname, rev) {
+  try {
+    return execFileSync('git', [ 'show', `${rev}:./${path.basename(fname)}` ], {
+      cwd: path.dirname(fname),
+      encoding: 'utf8',
+      stdio: [ 'ignore', 'pipe', 'pipe' ],
+    });
+  } catch (exc) {
+    const message = exc.stderr ? exc.stderr.toString().trim() : exc.message;
+    throw new Error(`${fname}: could not read revision ${rev}: ${message}`);
+  }
+}
+
+// Returns { old, new } as { fname, label, source }.
+function loadVersions() {
+  const args = argv._.map(String);
+  if (argv.from) {
+    if (args.length !== 1) {
+      throw new Error('--from expects a single file, given as of the revisions');
+    }
+    const fname = args[0];
+    return {
+      old: { fname, label: argv.from, source: loadRevision(fname, argv.from) },
+      new: {
+        fname,
+        label: argv.to || 'the working copy',
+        source: argv.to ? loadRevision(fname, argv.to) : loadFile(fname),
+      },
+    };
+  }
+  if (argv.to || args.length !== 2) {
+    throw new Error('expected the old and new files, or --from with a single file');
+  }
+  return {
+    old: { fname: args[0], label: args[0], source: loadFile(args[0]) },
+    new: { fname: args[1], label: args[1], source: loadFile(args[1]) },
+  };
+}
+
+// The redline is a single file, its assets and the CSS ones are resolved
+// by the same AssetResolver.
+function loadOptions() {
+  const assets = createAssetResolver(getAssetsOptions(argv));
+  return {
+    ...loadRenderOptions(argv),
+    css: loadCssFiles(argv.css || envOptionAsArray(process.env.CSS), assets),
+    assets,
+    loadFile,
+  };
+}
+
+let errors = 0;
+try {
+  const versions = loadVersions();
+  const outFile = argv.output || path.join(defaultOutputDir, path.basename(versions.new.fname).replace(/([.]md)?$/, '-redline.html'));
+  const options = loadOptions();
+  const { html, stats } = renderRedline(versions.old.source, versions.new.source, {
+    ...options,
+    fname: versions.new.fname,
+    oldFname: versions.old.fname,
+    from: versions.old.label,
+    to: versions.new.label,
+    reportError: (message) => {
+      console.error(`ERROR: ${message}`);
+      errors += 1;
+    },
+  });
+  saveFile(outFile, html);
+  copyAssets(outFile, options.assets);
+  console.log(`${versions.old.label} -> ${versions.new.label} => ${outFile}: ` +
+              `${stats.changedSections} changed, ${stats.insertedSections} inserted, ` +
+              `${stats.deletedSections} deleted and ${stats.movedSections} moved sections`);
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
+process.exit(errors > 0 ? 1 : 0);
@@ -3,78 +3,125 @@
 require('dotenv').config();
 
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 const process = require('process');
-const hljs = require('highlight.js');
-const marked = require('marked');
 const mkdirp = require('mkdirp');
-const mustache = require('mustache');
-const DOMParser = require('xmldom').DOMParser;
-const xpath = require('xpath');
+const { isMainThread } = require('worker_threads');
+const { applyConfig, envOptionAsArray } = require('./lib/config');
+const {
+  getDocumentReplacements,
+  getFrontMatterDependencies,
+  parseManifest,
+  renderIndex,
+  renderMarkdownAndEpub,
+  renderBookAndEpub,
+} = require('./lib/md2html');
+const {
+  handleWorkerTasks,
+  hashContents,
+  hashFiles,
+  isUpToDate,
+  loadBuildManifest,
+  runInWorkers,
+  saveBuildManifest,
+} = require('./lib/build');
+const { AssetResolver, defaultAssetsDir } = require('./lib/assets');
+const {
+  addRenderOptions,
+  copyAssets,
+  createAssetResolver,
+  getAssetsOptions,
+  listPartials,
+  loadCssFiles,
+  loadFile,
+  loadRenderOptions,
+  saveFile,
+} = require('./lib/cli');
+const { checkEpub, zipEpub } = require('./lib/epub');
+const { launchBrowser, renderPdf } = require('./lib/pdf');
+const { getPluginFiles } = require('./lib/plugins');
+const { createPreviewServer, watchFiles } = require('./lib/preview');
+const { defaultIndexName, findInputs, getIndexPages, getOutputName } = require('./lib/site');
 
 const defaultInputDir = './reports';
 const defaultOutputDir = './out';
-const defaultToCTitle = 'Table of Contents';
-const defaultHighlightTheme = 'github';
-
-const hljsStylesDir = path.join(require.resolve('highlight.js'), '../../styles');
-const hljsThemes = fs.readdirSync(hljsStylesDir)
-      .filter(fname => fname.endsWith('.css'))
-      .map(fname => path.basename(fname, '.css'))
-      .sort();
-
-const yargs = require('yargs')
-      .usage('Usage:\n$0 file1.md [... fileN.md]')
-      .option('title', {
-        alias: 't',
-        describe: 'Document Title to use, otherwise based on filename. Exposed to Mustache template.',
-        default: process.env.TITLE,
+const defaultBookName = 'book';
+const defaultServePort = 8080;
+const outputFormats = [ 'html', 'pdf', 'epub' ];
+const indexModes = [ 'site', 'directory' ];
+const defaultIndexTitle = 'Documents';
+const packageVersion = require('./package.json').version;
+
+const yargs = addRenderOptions(require('yargs').usage('Usage:\n$0 file1.md [... fileN.md]'))
+      .option('book', {
+        alias: 'B',
+        describe: 'Build all the given files, in order, as chapters of a single document. May contain the output file name.',
+        default: process.env.BOOK,
+      })
+      .option('manifest', {
+        alias: 'm',
+        describe: 'YAML (or JSON) file with the ordered list of chapters and book metadata. Implies --book.',
+        default: process.env.MANIFEST,
+      })
+      .option('jobs', {
+        alias: 'J',
+        describe: 'Number of documents to build in parallel (worker threads).',
+        default: process.env.JOBS || os.cpus().length,
+        type: 'number',
+      })
+      .option('force', {
+        describe: 'Rebuild all the documents, even if they are up to date.',
+        default: !!process.env.FORCE,
+        type: 'boolean',
       })
-      .option('author', {
-        alias: 'a',
-        describe: 'Document Author to use, otherwise empty. Exposed to Mustache template.',
-        default: process.env.AUTHOR,
+      .option('fail-fast', {
+        describe: 'Stop on the first document that fails, instead of building the others.',
+        default: !!process.env.FAIL_FAST,
+        type: 'boolean',
       })
-      .option('date', {
-        alias: 'd',
-        describe: 'Document Date to use (passed as-is), otherwise empty. Exposed to Mustache template.',
-        default: process.env.DATE,
+      .option('watch', {
+        alias: 'w',
+        describe: 'Watch the input files, CSS, JavaScript and pages, rebuilding the affected outputs on changes.',
+        type: 'boolean',
       })
-      .option('var', {
-        alias: 'v',
-        describe: 'Extra variables to use in replacements (key=value). These are exposed to Mustache template.',
-        array: true,
+      .option('serve', {
+        alias: 's',
+        describe: `Serve the output directory at localhost, reloading pages on changes. Implies --watch. May contain the port (default: ${defaultServePort}).`,
       })
-      .option('css', {
-        alias: 'c',
-        describe: 'CSS files to include (inline).',
-        array: true,
+      .option('format', {
+        alias: 'F',
+        describe: 'Output formats, PDF is rendered by Chrome or Chromium with the Paged Media polyfill, EPUB 3 is split in chapters at the h1. May be given multiple times.',
+        default: process.env.FORMAT ? envOptionAsArray(process.env.FORMAT) : [ 'html' ],
+        choices: outputFormats,
+        type: 'array',
       })
-      .option('js', {
-        alias: 'j',
-        describe: 'JavaScript files to include (inline).',
-        array: true,
+      .option('browser', {
+        describe: 'Chrome or Chromium executable used to generate the PDF.',
+        default: process.env.BROWSER_PATH,
       })
-      .option('front-page', {
-        alias: 'f',
-        describe: 'Front Page to file include (inline, HTML with Mustache templates).',
-        default: process.env.FRONT_PAGE,
+      .option('recursive', {
+        alias: 'r',
+        describe: 'Also build the documents in the subdirectories of the given directories.',
+        default: !!process.env.RECURSIVE,
+        type: 'boolean',
       })
-      .option('back-page', {
-        alias: 'b',
-        describe: 'Back (last) Page to file include (inline, HTML with Mustache templates).',
-        default: process.env.BACK_PAGE,
+      .option('include', {
+        describe: 'Glob pattern of the documents to build in the given directories, relative to them (ie: **/*.md). May be given multiple times.',
+        type: 'array',
       })
-      .option('toc', {
-        alias: 'T',
-        describe: 'Generate Table of Contents. May contain a string to state section text.',
-        default: process.env.TOC,
+      .option('exclude', {
+        describe: 'Glob pattern of the documents to skip in the given directories, relative to them (ie: drafts/**). May be given multiple times.',
+        type: 'array',
       })
-      .option('highlight-theme', {
-        alias: 'H',
-        describe: 'Highlight.js theme name (CSS file name).',
-        default: process.env.HIGHLIGHT_THEME || defaultHighlightTheme,
-        choices: hljsThemes,
+      .option('index', {
+        describe: 'Generate an index page listing the documents, either one for the whole output directory (site) or one per directory.',
+        default: process.env.INDEX,
+        choices: indexModes,
+      })
+      .option('index-title', {
+        describe: 'Title of the index pages.',
+        default: process.env.INDEX_TITLE || defaultIndexTitle,
       })
       .option('output-dir', {
         alias: 'o',
@@ -87,194 +134,512 @@ const yargs = require('yargs')
       .help('help')
       .version(false);
 
-const argv = yargs.argv;
+let argv;
+try {
+  argv = applyConfig(yargs, 'md2html').argv;
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
+
+function defaultReportError(message) {
+  console.error(`ERROR: ${message}`);
+}
+
+// Files the output of the given document depends on, besides the
+// global options.
+function getDocumentDependencies(fname) {
+  return [ fname, ...getFrontMatterDependencies(fname, loadFile(fname)) ];
+}
+
+// Outputs mirror the input tree, see findInputs()
+const inputRoots = {};
+
+function getOutputFile(fname, options) {
+  return getOutputName(fname, inputRoots[fname] || '.', options.outputDir);
+}
 
-function envOptionAsArray(str) {
-  if (!str) {
-    return [];
+function getBookOutputFile(outputName, options) {
+  return path.join(options.outputDir, outputName.replace(/([.]html)?$/, '.html'));
+}
+
+// The EPUB includes the local images and fonts, whatever the assets mode
+// of the HTML.
+function createEpubAssetResolver(options) {
+  return new AssetResolver({
+    mode: 'copy',
+    maxSize: options.maxAssetSize,
+    assetsDir: defaultAssetsDir,
+  });
+}
+
+// CSS and assets of the EPUB, null if it is not an output format.
+function getEpubOptions(options) {
+  if (options.formats.indexOf('epub') === -1) {
+    return null;
   }
-  try {
-    return JSON.parse(str);
-  } catch (exc) {
-    if (str.indexOf('"') === -1 && str.indexOf('\'') === -1) {
-      const array = str.split(';');
-      if (array.length > 1) {
-        return array;
-      }
-      return array[0].split(',');
-    } else {
-      throw new Error(`unexpected serialized array: ${str}. Use proper JSON! ${exc}`);
-    }
+  const assets = createEpubAssetResolver(options);
+  Object.assign(assets.copies, options.epubCssAssets.copies);
+  return { css: options.epubCss, assets };
+}
+
+// Local files the resolvers (AssetResolver or null) embedded or copied,
+// the outputs are rebuilt when they change.
+function getAssetFiles(...resolvers) {
+  const files = [];
+  resolvers.filter(assets => assets).forEach((assets) => {
+    files.push(...assets.files.map(fname => path.relative('.', fname)).filter(fname => files.indexOf(fname) === -1));
+  });
+  return files;
+}
+
+// Returns { outFile, epub, assetFiles }, the EPUB package (see
+// lib/epub.js) is zipped by convertOutput().
+function md2html(fname, options = {}) {
+  const outFile = getOutputFile(fname, options);
+  const source = loadFile(fname);
+  const assets = createAssetResolver(options);
+  const epubOptions = getEpubOptions(options);
+  const { html, epub } = renderMarkdownAndEpub(source, { ...options, fname, loadFile, assets }, epubOptions);
+  saveFile(outFile, html);
+  copyAssets(outFile, assets, options.cssAssets);
+  const assetFiles = getAssetFiles(assets, options.cssAssets, epubOptions && epubOptions.assets, options.epubCssAssets);
+  return { outFile, epub, assetFiles };
+}
+
+function md2book(fnames, options) {
+  const chapters = fnames.map(fname => ({ fname, source: loadFile(fname) }));
+  const outFile = getBookOutputFile(options.outputName, options);
+  const assets = createAssetResolver(options);
+  const epubOptions = getEpubOptions(options);
+  const { html, epub } = renderBookAndEpub(chapters, { ...options, loadFile, assets }, epubOptions);
+  saveFile(outFile, html);
+  copyAssets(outFile, assets, options.cssAssets);
+  const assetFiles = getAssetFiles(assets, options.cssAssets, epubOptions && epubOptions.assets, options.epubCssAssets);
+  return { outFile, epub, assetFiles };
+}
+
+// Chrome or Chromium shared by all the PDF conversions, launched on first use
+let browser = null;
+
+function getBrowser(options) {
+  if (!browser) {
+    browser = launchBrowser({ browserPath: options.browserPath });
   }
+  return browser;
 }
 
-function arrayToMap(array) {
-  const ret = {};
-  for (let i = 0; i < array.length; i += 1) {
-    const parts = array[i].split('=');
-    if (parts.length < 2) {
-      throw new Error(`Invalid map format. Expected key=value, got: ${array[i]}`);
+function closeBrowser() {
+  if (!browser) {
+    return Promise.resolve();
+  }
+  const closing = browser.then(b => b.close(), () => {});
+  browser = null;
+  return closing;
+}
+
+// Generates the other formats from the build result (see buildHtml()),
+// the HTML output is removed if not requested. Returns the output files.
+async function convertOutput(result, options) {
+  const { outFile, epub } = result;
+  const outFiles = [];
+  if (options.formats.indexOf('pdf') !== -1) {
+    const pdfFile = outFile.replace(/[.]html$/, '.pdf');
+    saveFile(pdfFile, await renderPdf(outFile, { browser: await getBrowser(options) }));
+    outFiles.push(pdfFile);
+  }
+  if (epub) {
+    const epubFile = outFile.replace(/[.]html$/, '.epub');
+    const data = await zipEpub(epub);
+    const problems = await checkEpub(data);
+    if (problems.length > 0) {
+      throw new Error(`invalid EPUB:\n${problems.join('\n')}`);
     }
-    const k = parts[0];
-    const v = parts.slice(1).join('=');
-    ret[k] = v;
+    saveFile(epubFile, data);
+    outFiles.push(epubFile);
+  }
+  if (options.formats.indexOf('html') !== -1 || options.keepHtml) {
+    outFiles.unshift(outFile);
+  } else {
+    fs.unlinkSync(outFile);
   }
-  return ret;
+  return outFiles;
 }
 
-function saveFile(fname, contents) {
-  mkdirp.sync(path.dirname(fname));
-  return fs.writeFileSync(fname, contents, { encoding: 'utf8' });
+function loadManifest(fname) {
+  return parseManifest(fname, loadFile(fname));
 }
 
-function loadFile(fname) {
-  if (!fname) {
-    return '';
+let mds = [];
+let manifest = null;
+if (argv.manifest) {
+  try {
+    manifest = loadManifest(argv.manifest);
+  } catch (exc) {
+    defaultReportError(exc.message);
+    process.exit(1);
+  }
+  mds.push(...manifest.chapters);
+} else {
+  let inputs;
+  try {
+    inputs = findInputs(argv._.length === 0 ? [ defaultInputDir ] : argv._, {
+      recursive: argv.recursive,
+      include: argv.include || envOptionAsArray(process.env.INCLUDE),
+      exclude: argv.exclude || envOptionAsArray(process.env.EXCLUDE),
+    });
+  } catch (exc) {
+    defaultReportError(exc.message);
+    process.exit(1);
   }
-  return fs.readFileSync(fname, { encoding: 'utf8' });
+  inputs.forEach(({ fname, root }) => {
+    mds.push(fname);
+    inputRoots[fname] = root;
+  });
 }
 
-function loadFiles(array) {
-  return array.map(fname => loadFile(fname)).join('\n');
+const cssFiles = argv.css || envOptionAsArray(process.env.CSS);
+const jsFiles = argv.js || envOptionAsArray(process.env.JS);
+
+function loadOptions() {
+  if (argv.index && (argv.book || argv.manifest)) {
+    throw new Error('--index can not be used with --book or --manifest');
+  }
+  const assetsOptions = getAssetsOptions(argv);
+  const cssAssets = createAssetResolver(assetsOptions);
+  const epubCssAssets = argv.format.indexOf('epub') !== -1 ? createEpubAssetResolver(assetsOptions) : null;
+  return {
+    ...loadRenderOptions(argv),
+    css: loadCssFiles(cssFiles, cssAssets),
+    // the KaTeX CSS and fonts are resolved by the assets of the documents
+    // with math only, see getDocumentMathCss() of lib/md2html.js
+    epubCss: epubCssAssets ? loadCssFiles(cssFiles, epubCssAssets) : '',
+    outputDir: argv.outputDir || defaultOutputDir,
+    formats: argv.format,
+    browserPath: argv.browser,
+    // the preview server shows the HTML
+    keepHtml: !!argv.serve,
+    jobs: argv.jobs,
+    force: argv.force,
+    failFast: argv.failFast,
+    ...assetsOptions,
+    cssAssets,
+    epubCssAssets,
+  };
 }
 
-function loadHighlightTheme(theme) {
-  const fname = path.isAbsolute(theme) ? theme : `${hljsStylesDir}/${theme}.css`;
-  return loadFile(fname);
+function getTargets(options) {
+  if (manifest || argv.book) {
+    const outputName = typeof argv.book === 'string' ? argv.book
+          : (manifest ? path.basename(argv.manifest).replace(/[.][^.]*$/, '') : defaultBookName);
+    return [ {
+      inputs: mds,
+      outFile: getBookOutputFile(outputName, options),
+      dependencies: () => [].concat(
+        argv.manifest ? [ argv.manifest ] : [],
+        ...mds.map(md => getDocumentDependencies(md))),
+      build: buildOptions => md2book(mds, {
+        ...buildOptions,
+        outputName,
+        manifest: argv.manifest,
+        metadata: manifest ? manifest.metadata : {},
+      }),
+    } ];
+  }
+  return mds.map(md => ({
+    inputs: [ md ],
+    outFile: getOutputFile(md, options),
+    dependencies: () => getDocumentDependencies(md),
+    build: buildOptions => md2html(md, buildOptions),
+  }));
 }
 
-function fname2title(fname) {
-  return fname
-    .replace(/[.]md$/, '')
-    .replace(/[^A-Za-z0-9]/g, ' ')
-    .replace(/\s+/g, ' ');
+// Builds the HTML of the target, the result is serializable so it can be
+// built by worker threads: { outFile, epub, assetFiles, errors } or
+// { error, errors }.
+function buildHtml(target, options) {
+  const errors = [];
+  const reportError = (message) => {
+    defaultReportError(message);
+    errors.push(message);
+  };
+  try {
+    return { ...target.build({ ...options, reportError }), errors };
+  } catch (exc) {
+    return { error: exc.message, errors };
+  }
 }
 
-function getNodeContents(n, options) {
-  const { noLink } = options;
-  let txt = '';
-  for (let i = 0; i < n.childNodes.length; i += 1) {
-    const c = n.childNodes[i];
-    if (noLink && c.nodeName === 'a') {
-      txt += getNodeContents(c, options);
-    } else {
-      txt += c.toString();
+async function buildTarget(target, options) {
+  const result = buildHtml(target, options);
+  const { error, errors } = result;
+  try {
+    if (error) {
+      throw new Error(error);
     }
+    const outFiles = await convertOutput(result, options);
+    console.log(`${target.inputs.join(', ')} => ${outFiles.join(', ')}`);
+    target.failed = false;
+  } catch (exc) {
+    const message = `${target.inputs.join(', ')}: ${exc.message}`;
+    defaultReportError(message);
+    errors.push(message);
+    target.failed = true;
   }
-  return txt;
+  target.errors = errors;
 }
 
-function genToc(title, htmlInnerContents) {
-  const toc = [
-    '<h1 id="toc">' + title + '</h1>',
-    '<ul id="toc-contents">',
-  ];
-
-  const doc = new DOMParser().parseFromString('<html>' + htmlInnerContents + '</html>');
-  const nodes = xpath.select('//h1 | //h2 | //h3 | //h4 | //h5', doc);
-  for (let i = 0; i < nodes.length; i += 1) {
-    const n = nodes[i];
-    const nid = n.getAttribute('id');
-    const ntext = getNodeContents(n, { noLink: true } );
-    toc.push(`<li class="toc-${n.nodeName} toc-item"><a href="#${nid}">${ntext}</a></li>`);
+function getTargetDependencies(target) {
+  try {
+    return target.dependencies().map(f => path.resolve(f));
+  } catch (exc) {
+    // unreadable or broken front matter, at least watch the inputs.
+    return target.inputs.map(f => path.resolve(f));
   }
+}
+
+async function watch(targets, options, server) {
+  const globalDependencies = [].concat(
+    cssFiles, jsFiles,
+    argv.frontPage ? [ argv.frontPage ] : [],
+    argv.backPage ? [ argv.backPage ] : [],
+    argv.layout ? [ argv.layout ] : [],
+    argv.glossary ? [ argv.glossary ] : [],
+    listPartials(argv.templatesDir))
+    .map(f => path.resolve(f));
 
-  toc.push('</ul>');
+  let watcher = null;
+  // builds are asynchronous (PDF), changes are handled one at a time
+  let building = Promise.resolve();
+  const rebuild = async (changed) => {
+    let affected = targets;
+    if (!changed.some(f => globalDependencies.indexOf(f) !== -1)) {
+      affected = targets.filter(t => changed.some(f => t.watchedFiles.indexOf(f) !== -1));
+    } else {
+      try {
+        options = loadOptions();
+      } catch (exc) {
+        defaultReportError(exc.message);
+        return;
+      }
+    }
 
-  return toc.join('\n');
+    console.log(`changed: ${changed.join(', ')}`);
+    for (let i = 0; i < affected.length; i += 1) {
+      await buildTarget(affected[i], options);
+      affected[i].watchedFiles = getTargetDependencies(affected[i]);
+    }
+    if (argv.index) {
+      // titles, authors and dates may have changed
+      buildIndexes(options);
+    }
+    if (server) {
+      server.notify(affected.map(t => t.outFile));
+    }
+    // dependencies may have changed (ie: css in front matter)
+    watcher.close();
+    startWatching();
+  };
+  const startWatching = () => {
+    const files = [].concat(globalDependencies, ...targets.map(t => t.watchedFiles));
+    watcher = watchFiles(files, (changed) => {
+      building = building.then(() => rebuild(changed));
+    });
+  };
+
+  for (let i = 0; i < targets.length; i += 1) {
+    await buildTarget(targets[i], options);
+    targets[i].watchedFiles = getTargetDependencies(targets[i]);
+  }
+  if (argv.index) {
+    buildIndexes(options);
+  }
+  startWatching();
+  console.log('watching for changes...');
 }
 
-function escaped(text) {
-  return text.replace('<', '&lt;').replace('>', '&gt;');
+/*
+ * Index pages (see lib/site.js) are regenerated on every build, they are
+ * cheap and list the up to date documents as well, but not the ones that
+ * failed to build. Returns whether all of them were generated.
+ */
+function buildIndexes(options) {
+  const linkExtension = options.formats.indexOf('html') !== -1 || options.keepHtml ? '.html'
+        : (options.formats.indexOf('pdf') !== -1 ? '.pdf' : '.epub');
+  const outFiles = mds.map(md => getOutputFile(md, options));
+  // documents that failed to build have no page to link to
+  const failed = targets.filter(t => t.failed).map(t => t.outFile);
+  const documents = [];
+  mds.forEach((md, i) => {
+    if (failed.indexOf(outFiles[i]) !== -1) {
+      return;
+    }
+    let replacements = { title: path.basename(md) };
+    try {
+      replacements = getDocumentReplacements(loadFile(md), { ...options, fname: md });
+    } catch (exc) {
+      // broken front matter, reported by the build
+    }
+    documents.push({
+      outFile: outFiles[i].replace(/[.]html$/, linkExtension),
+      title: String(replacements.title),
+      author: replacements.author,
+      date: replacements.date,
+    });
+  });
+
+  let ok = true;
+  getIndexPages(documents, options.outputDir, argv.index, defaultIndexName).forEach((page) => {
+    if (outFiles.indexOf(page.outFile) !== -1) {
+      defaultReportError(`${page.outFile}: index not generated, it is the output of a document`);
+      ok = false;
+      return;
+    }
+    const title = page.dir ? `${argv.indexTitle}: ${page.dir}` : argv.indexTitle;
+    const assets = createAssetResolver(options);
+    try {
+      saveFile(page.outFile, renderIndex(title, page.entries, { ...options, assets }));
+      copyAssets(page.outFile, assets, options.cssAssets);
+      console.log(`index => ${page.outFile}`);
+    } catch (exc) {
+      defaultReportError(`${page.outFile}: ${exc.message}`);
+      ok = false;
+    }
+  });
+  return ok;
 }
 
-function md2html(fname, options = {}) {
-  const replacements = {
-    title: options.title || fname2title(fname),
-    author: options.author,
-    date: options.date,
-    ...options.vars,
-  };
+// Options that change the outputs, the others (ie: --jobs) only change
+// how they are built.
+const hashedOptions = [
+  'title', 'author', 'date', 'vars', 'frontPageDir', 'backPageDir', 'layoutDir',
+  'toc', 'tocMinDepth', 'tocMaxDepth', 'chapterToc', 'numberSections', 'sourceLines',
+  'footnotes', 'math', 'admonitions', 'glossary', 'glossaryMode', 'glossarySection',
+  'lof', 'lot', 'xrefNumbering', 'xrefNames', 'highlightTheme', 'diagrams',
+  'outputDir', 'formats', 'browserPath', 'keepHtml', 'assetsMode', 'assetsDir', 'maxAssetSize',
+];
 
-  const highlightTheme = loadHighlightTheme(options.highlightTheme);
-  const mdContents = loadFile(fname);
-  const htmlInnerContents = marked(mdContents);
-  const htmlContents = [
-    '<!DOCTYPE html>',
-    '<html>',
-    '<head>',
-    '<meta charset="utf-8" />',
-    `<title>${escaped(replacements.title)}</title>`,
-    replacements.author ? `<meta name="author" content="${escaped(replacements.author)}" />` : '',
-    replacements.date ? `<meta name="date" content="${escaped(replacements.date)}" />` : '',
-    '<style type="text/css">',
-    highlightTheme,
-    options.css,
-    '</style>',
-    ...(options.js ? ['<script type="text/javascript">', options.js, '</script>' ] : []),
-    '</head>',
-    '<body>',
-    mustache.render(options.frontPage, replacements),
-    options.toc ? genToc(options.toc === true ? defaultToCTitle : options.toc, htmlInnerContents) : '',
-    '<div id="md-contents">',
-    htmlInnerContents,
-    '</div>',
-    mustache.render(options.backPage, replacements),
-    '</body>',
-    '</html>',
-  ];
-  const outFile = path.join(options.outputDir, fname.replace(/[.]md$/, '.html'));
-  saveFile(outFile, htmlContents.join('\n'));
-  return outFile;
+// What the outputs are built from, see lib/build.js
+function getTargetHashes(target, options) {
+  const { frontPage, backPage, layout, partials, plugins, css, epubCss, js } = options;
+  return {
+    inputs: hashFiles(target.dependencies()),
+    templates: hashContents(frontPage, backPage, layout, JSON.stringify(partials)),
+    css: hashContents(css, epubCss, js),
+    // their functions are not serialized, but their source is
+    plugins: hashFiles(getPluginFiles(plugins)),
+    options: hashContents(packageVersion, JSON.stringify(hashedOptions.map(name => options[name]))),
+  };
 }
 
-function listDirectoryMds(dirname) {
-  return fs.readdirSync(dirname, { encoding: 'utf8' })
-    .filter(fname => fname.endsWith('.md'))
-    .map(fname => path.join(dirname, fname));
+function buildInProcess(tasks, options) {
+  const results = [];
+  for (let i = 0; i < tasks.length; i += 1) {
+    results.push(buildHtml(targets[tasks[i]], options));
+    if (results[i].error && options.failFast) {
+      break;
+    }
+  }
+  return results;
 }
 
-let mds = [];
-if (argv._.length === 0) {
-  mds.push(...listDirectoryMds(defaultInputDir));
-} else {
-  for (let i = 0; i < argv._.length; i += 1) {
-    const md = argv._[i];
-    const st = fs.statSync(md);
-    if (st.isDirectory()) {
-      mds.push(...listDirectoryMds(md));
+// Builds the targets that changed since the last build, returns whether
+// all of them succeeded.
+async function buildAll(targets, options) {
+  const manifest = loadBuildManifest(options.outputDir);
+  const summary = { rebuilt: 0, skipped: 0, failed: 0, notBuilt: 0 };
+  const pending = [];
+  for (let i = 0; i < targets.length; i += 1) {
+    let hashes = null;
+    try {
+      hashes = getTargetHashes(targets[i], options);
+    } catch (exc) {
+      // unreadable or broken front matter, reported by the build
+    }
+    if (hashes && !options.force && isUpToDate(manifest.outputs[targets[i].outFile], hashes)) {
+      console.log(`${targets[i].inputs.join(', ')} => up to date`);
+      summary.skipped += 1;
     } else {
-      mds.push(md);
+      pending.push({ index: i, hashes });
     }
   }
-}
 
-const options = {
-  title: argv.title,
-  author: argv.author,
-  date: argv.date,
-  vars: arrayToMap(argv.var || envOptionAsArray(process.env.VAR)),
-  css: loadFiles(argv.css || envOptionAsArray(process.env.CSS)),
-  js: loadFiles(argv.js || envOptionAsArray(process.env.JS)),
-  frontPage: loadFile(argv.frontPage),
-  backPage: loadFile(argv.backPage),
-  toc: argv.toc,
-  outputDir: argv.outputDir || defaultOutputDir,
-  highlightTheme: argv.highlightTheme,
-};
-
-marked.setOptions({
-  highlight: function (code, lang) {
+  const tasks = pending.map(p => p.index);
+  const results = options.jobs > 1 && tasks.length > 1
+    ? await runInWorkers(__filename, process.argv.slice(2), tasks, options)
+    : buildInProcess(tasks, options);
+
+  for (let i = 0; i < pending.length; i += 1) {
+    const target = targets[pending[i].index];
+    const result = results[i];
+    target.failed = true;
+    if (!result || (summary.failed > 0 && options.failFast)) {
+      summary.notBuilt += 1;
+      continue;
+    }
+    delete manifest.outputs[target.outFile];
     try {
-      return hljs.highlight(lang, code).value;
+      if (result.error) {
+        throw new Error(result.error);
+      }
+      const outputs = await convertOutput(result, options);
+      console.log(`${target.inputs.join(', ')} => ${outputs.join(', ')}`);
+      if (pending[i].hashes) {
+        manifest.outputs[target.outFile] = { hashes: pending[i].hashes, files: hashFiles(result.assetFiles), outputs };
+      }
+      target.failed = false;
+      summary.rebuilt += 1;
     } catch (exc) {
-      console.error(`ERROR: failed to highlight using ${lang}: ${exc}. Try 'auto'.`);
-      return hljs.highlightAuto(code).value;
+      defaultReportError(`${target.inputs.join(', ')}: ${exc.message}`);
+      summary.failed += 1;
     }
   }
-});
 
-for (let i = 0; i < mds.length; i += 1) {
-  const outFile = md2html(mds[i], options);
-  console.log(`${mds[i]} => ${outFile}`);
+  mkdirp.sync(options.outputDir);
+  saveBuildManifest(options.outputDir, manifest);
+  console.log([
+    `${summary.rebuilt} rebuilt`,
+    `${summary.skipped} up to date`,
+    `${summary.failed} failed`,
+    ...(summary.notBuilt > 0 ? [ `${summary.notBuilt} not built` ] : []),
+  ].join(', '));
+  return summary.failed === 0;
+}
+
+let options;
+try {
+  options = loadOptions();
+} catch (exc) {
+  defaultReportError(exc.message);
+  process.exit(1);
+}
+const targets = getTargets(options);
+
+if (!isMainThread) {
+  // see runInWorkers()
+  handleWorkerTasks(index => buildHtml(targets[index], options));
+} else if (argv.watch || argv.serve) {
+  let server = null;
+  if (argv.serve) {
+    const port = argv.serve === true ? defaultServePort : parseInt(argv.serve, 10);
+    server = createPreviewServer(options.outputDir, (fname) => {
+      const target = targets.find(t => path.resolve(t.outFile) === fname);
+      return (target && target.errors) || [];
+    });
+    server.listen(port, 'localhost', () => {
+      console.log(`serving ${options.outputDir} at http://localhost:${port}/`);
+    });
+  }
+  watch(targets, options, server);
+} else {
+  buildAll(targets, options)
+    .then(ok => (argv.index ? buildIndexes(options) && ok : ok))
+    .catch((exc) => {
+      defaultReportError(exc.message);
+      return false;
+    })
+    .then((ok) => {
+      process.exitCode = ok ? 0 : 1;
+      return closeBrowser();
+    });
 }
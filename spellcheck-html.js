@@ -4,50 +4,82 @@ require('dotenv').config();
 
 const fs = require('fs');
 const path = require('path');
-const mkdirp = require('mkdirp');
+const readline = require('readline');
+const { createTwoFilesPatch } = require('diff');
+const { applyConfig, arrayToMap, envOptionAsArray } = require('./lib/config');
 const process = require('process');
-const cheerio = require('cheerio');
-const spawn = require('child_process').spawn;
-const EventEmitter = require('events').EventEmitter;
-const XRegExp = require('xregexp/xregexp-all');
+const { checkerBackends, getBackend } = require('./lib/checkers');
+const { loadFile, saveFile } = require('./lib/cli');
+const {
+  cleanupLang,
+  createCheckers,
+  defaultAspellOption,
+  defaultIgnoreElements,
+  defaultIgnorePatterns,
+  defaultLang,
+  defaultRootElement,
+  spellCheckDocument,
+} = require('./lib/spellcheck');
+const { addPersonalWords, applyReplacements, reviewMisspellings } = require('./lib/fix');
+const { getGlossaryWords, parseGlossary } = require('./lib/glossary');
+const { getIgnorePatterns } = require('./lib/ignore');
+const { genSpellcheckReport, reportExtensions, reportFormats } = require('./lib/reports');
 
 const defaultInputDir = './reports';
 const defaultOutputDir = './out/spellchecked';
-const defaultIgnoreElements = [ 'pre', 'code', 'a', 'svg', 'script', 'style' ];
-const defaultAspellOption = [ '--encoding=utf-8', '--guess', '--run-together' ];
 const spellCheckedSuffix = '-spellchecked.html';
+const defaultReportName = 'spellcheck-report';
 
 const yargs = require('yargs')
       .usage('Usage:\n$0 file1.html [... fileN.html]')
       .option('root-element', {
         alias: 'r',
         describe: 'JQuery-like selector to get the root element to start spellcheck on.',
-        default: process.env.ROOT || '#md-contents',
+        default: process.env.ROOT || defaultRootElement,
       })
       .option('lang', {
         alias: 'l',
         describe: 'Native (main) language for the document',
-        default: process.env.LANG || 'en_US',
+        default: process.env.LANG || defaultLang,
       })
       .option('element-lang', {
         alias: 'e',
-        describe: 'Map the given HTML element to the given language (ie: em=pt_BR)',
+        describe: 'Map the elements matching the given CSS selector, without lang attribute, to the given language (ie: em=pt_BR, .foreign=pt_BR)',
         array: true,
       })
       .option('ignore-element', {
         alias: 'i',
-        describe: 'Ignore the given element (ie: "code", "pre")',
+        describe: 'Ignore the elements matching the given CSS selector (ie: "code", "pre", ".no-spell", "span.api-name")',
         default: defaultIgnoreElements,
         array: true,
       })
+      .option('ignore-pattern', {
+        alias: 'I',
+        describe: `Ignore the tokens matching the given regular expression or built-in pattern (${Object.keys(defaultIgnorePatterns).join(', ')})`,
+        default: Object.keys(defaultIgnorePatterns),
+        array: true,
+      })
       .option('personal-dict', {
         alias: 'p',
         describe: 'Use the given dict for a language (ie: en_US=mydict-en_US.pws)',
         array: true,
       })
+      .option('glossary', {
+        describe: 'Glossary file used by md2html.js, its terms are known words.',
+        default: process.env.GLOSSARY,
+      })
+      .option('backend', {
+        alias: 'b',
+        describe: `Spellcheck backend (${Object.keys(checkerBackends).join(', ')}), for all languages or a given one (ie: pt_BR=hunspell).`,
+        array: true,
+      })
+      .option('wordlist', {
+        describe: 'Known words of the wordlist backend, a file with one per line, for all languages or a given one (ie: en_US=words.txt).',
+        array: true,
+      })
       .option('aspell-option', {
         alias: 'A',
-        describe: 'Define arguments to provide to aspell.',
+        describe: 'Define arguments to provide to aspell (aspell backend only).',
         default: process.env.ASPELL_OPTIONS || defaultAspellOption,
         array: true,
       })
@@ -57,11 +89,30 @@ const yargs = require('yargs')
         default: process.env.FAIL_FAST || false,
         type: 'boolean',
       })
+      .option('fix', {
+        describe: 'Review each misspelling located in the Markdown (see --report) to replace it, ignore it or add it to the personal dictionary.',
+        default: false,
+        type: 'boolean',
+      })
+      .option('dry-run', {
+        describe: 'With --fix, print the changes to the Markdown and personal dictionaries as a diff instead of writing them.',
+        default: false,
+        type: 'boolean',
+      })
       .option('output-dir', {
         alias: 'o',
         describe: 'Output directory to place each file.',
         default: process.env.OUTPUT_DIR || defaultOutputDir,
       })
+      .option('report', {
+        describe: 'Also write a report of the misspellings, located in the Markdown source if built with md2html.js --source-lines.',
+        default: process.env.REPORT,
+        choices: reportFormats,
+      })
+      .option('report-file', {
+        describe: `Report file, defaults to ${defaultReportName} (.json, .xml or .sarif) in the output directory.`,
+        default: process.env.REPORT_FILE,
+      })
       .option('verbose', {
         alias: 'v',
         describe: 'Be verbose while spell check',
@@ -74,296 +125,162 @@ const yargs = require('yargs')
       .help('help')
       .version(false);
 
-const argv = yargs.argv;
+let argv;
+try {
+  argv = applyConfig(yargs, 'spellcheck').argv;
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
+}
 
-function envOptionAsArray(str) {
-  if (!str) {
-    return [];
-  }
+// Markdown sources given by the data-source attributes, missing ones
+// are not reported: the words are still located by line.
+function loadSource(fname) {
   try {
-    return JSON.parse(str);
+    return loadFile(fname);
   } catch (exc) {
-    if (str.indexOf('"') === -1 && str.indexOf('\'') === -1) {
-      const array = str.split(';');
-      if (array.length > 1) {
-        return array;
-      }
-      return array[0].split(',');
-    } else {
-      throw new Error(`unexpected serialized array: ${str}. Use proper JSON! ${exc}`);
-    }
+    return null;
   }
 }
 
-function arrayToMap(array) {
-  const ret = {};
-  for (let i = 0; i < array.length; i += 1) {
-    const parts = array[i].split('=');
-    if (parts.length < 2) {
-      throw new Error(`Invalid map format. Expected key=value, got: ${array[i]}`);
-    }
-    const k = parts[0];
-    const v = parts.slice(1).join('=');
-    ret[k] = v;
+// Returns { outFile, misspellings, suppressions }, outFile is null if
+// there are no misspellings.
+async function spellCheckFile(fname, options) {
+  const { html, misspellings, suppressions } = await spellCheckDocument(loadFile(fname), { ...options, fname, loadSource });
+  if (!html) {
+    return { outFile: null, misspellings, suppressions };
   }
-  return ret;
+  const outFile = path.join(options.outputDir, fname.replace(/[.]html$/, spellCheckedSuffix));
+  saveFile(outFile, html);
+  return { outFile, misspellings, suppressions };
 }
 
-function cleanupLang(lang) {
-  return lang.replace(/[.@].*$/, '').replace('-', '_');
+// Written to a temporary file renamed over the original, so an
+// interrupted write doesn't leave it truncated.
+function replaceFile(fname, contents) {
+  const tmpFile = path.join(path.dirname(fname), `.${path.basename(fname)}.${process.pid}.tmp`);
+  const mode = fs.existsSync(fname) ? fs.statSync(fname).mode : 0o644;
+  fs.writeFileSync(tmpFile, contents, { encoding: 'utf8', mode });
+  fs.renameSync(tmpFile, fname);
 }
 
-function saveFile(fname, contents) {
-  mkdirp.sync(path.dirname(fname));
-  return fs.writeFileSync(fname, contents, { encoding: 'utf8' });
-}
-
-function loadFile(fname) {
-  if (!fname) {
-    return '';
-  }
-  return fs.readFileSync(fname, { encoding: 'utf8' });
-}
-
-class Aspell extends EventEmitter {
-  constructor(lang, args) {
-    super();
-    this.queue = [];
-    this.proc = spawn('aspell', [ '-a', `--lang=${lang}` ].concat(args || []))
-      .on('error', (err) => {
-        this.emit('error', {
-          category: 'spawn',
-          message: err.toString(),
-        });
-      });
-
-    this.proc.stderr
-      .on('data', (data) => {
-        this.emit('error', {
-          category: 'stderr',
-          message: data.toString(),
-        });
-      })
-      .on('error', (err) => {
-        this.emit('error', {
-          category: 'stderr',
-          message: err.toString(),
-        });
-      });
-
-    this.proc.stdin
-      .on('error', (err) => {
-        this.emit('error', {
-          category: 'stdin',
-          message: err.toString(),
-        });
-      });
-
-    this.buffer = '';
-    this.proc.stdout
-      .on('data', (chunk) => {
-        const lines = (this.buffer + chunk).split(/\r?\n/);
-        this.buffer = lines.pop();
-        for (let i = 0; i < lines.length; i += 1) {
-          const result = this.parseLine(lines[i]);
-          if (result) {
-            this.emit('result', result);
-          }
-        }
-      })
-      .on('end', function() {
-        this.emit('finished');
-      });
-  }
-
-  checkWord(word, info) {
-    if (!Aspell.isWord(word)) {
-      throw new Error('aspell should get only words (only letters)!');
-    }
-    this.queue.push({ word, info });
-    this.proc.stdin.write(word + '\n');
-  }
-
-  end() {
-    this.proc.stdin.end();
-  }
-
-  parseLine(line) {
-    if (line.length <= 0) {
-      return { type: 'line-break' }
-    }
-
-    const c = line[0];
-    if (c === '@') {
-      return { type: 'comment' }
-    }
-
-    const q = this.queue.splice(0, 1)[0];
-    const result = {
-      type: Aspell.aspellToEventMap[c] || c,
-      word: q.word,
-      info: q.info,
-      alternatives: [],
-    }
-
-    if (c === '&' || c === '#') {
-      const parts = line.split(/:?,?\s/g);
-      const word = parts[1];
-      if (!q.word.startsWith(word)) {
-        throw new Error('expected word: ' + q.word + ', got: ' + word);
-      }
-      result.position = parseInt(c === '#' ? parts[2] : parts[3]);
-      result.alternatives = parts.slice(4);
-    }
-
-    return result;
+// Writes the new contents or, with --dry-run, prints them as a diff.
+function updateFile(fname, oldContents, newContents, options) {
+  if (oldContents === newContents) {
+    return;
   }
-
-  static isWord(str) {
-    return str.match(Aspell.isWordRegExp);
-  }
-
-  static splitWordsAndSpaces(str) {
-    return str.split(Aspell.splitWordsAndSpacesRegExp).filter(p => !!p);
+  if (options.dryRun) {
+    process.stdout.write(createTwoFilesPatch(fname, fname, oldContents, newContents));
+  } else {
+    replaceFile(fname, newContents);
   }
 }
 
-Aspell.wordRegExp = '\\pL';
-Aspell.isWordRegExp = XRegExp(`^[${Aspell.wordRegExp}]+$`);
-Aspell.splitWordsAndSpacesRegExp = XRegExp(`([${Aspell.wordRegExp}]+|[^${Aspell.wordRegExp}]+)`);
-Aspell.aspellToEventMap = {
-  '*': 'ok',
-  '+': 'ok', /* guessed/inferred */
-  '-': 'run-together',
-  '&': 'misspelling', /* with suggestions */
-  '#': 'misspelling', /* no suggestions */
-  '?': 'misspelling',
-};
+// Reads the answers line by line, so piped input works as well. The
+// questions go to stderr, keeping the --dry-run diff alone in stdout.
+function createPrompt() {
+  const rl = readline.createInterface({ input: process.stdin, terminal: false });
+  const lines = rl[Symbol.asyncIterator]();
+  const ask = async (question) => {
+    process.stderr.write(question);
+    const { value, done } = await lines.next();
+    return done ? null : value;
+  };
+  return { ask, close: () => rl.close() };
+}
 
-async function spellCheckChildren(node, options, lang) {
+// Resolves to true if nothing is left to report: every misspelling was
+// located and reviewed, and its replacement, if any, written.
+async function fixDocuments(documents, options) {
   const misspellings = [];
-  const children = node.children;
-  for (let i = 0; i < children.length; i += 1) {
-    misspellings.push(... await spellCheckNode(children[i], options, lang));
-    if (misspellings.length > 0 && options.failFast) {
-      break;
-    }
+  documents.forEach(d => misspellings.push(...d.misspellings));
+  const unlocated = misspellings.filter(m => !m.source || m.source.text === null).length;
+  if (unlocated > 0) {
+    console.error(`WARNING: ${unlocated} misspellings not found in the Markdown sources, build the HTML with md2html.js --source-lines`);
   }
-
-  return misspellings;
-}
-
-function spellCheckText(node, options, lang) {
-  const { data } = node;
-  const parts = Aspell.splitWordsAndSpaces(data);
-  const promises = [];
-  const checker = options.checkers[lang];
-  let offset = 0;
-  for (let i = 0; i < parts.length; i += 1) {
-    const word = parts[i];
-    if (Aspell.isWord(word)) {
-      promises.push(new Promise(function (resolve, reject) {
-        checker.checkWord(word, { resolve, reject, offset, lang });
-      }));
-    } else {
-      promises.push(Promise.resolve({ success: true, word, offset, lang }));
-    }
-    offset += word.length;
+  const prompt = createPrompt();
+  const { replacements, words, quit } = await reviewMisspellings(misspellings, prompt.ask, text => console.error(text));
+  prompt.close();
+  if (quit) {
+    console.error('\nQuit, applying the decisions taken so far.');
   }
-  return Promise.all(promises).then((spellCheckResults) => {
-    if (spellCheckResults.every(r => r.success)) {
-      return [];
+  // --dry-run leaves the misspellings in place
+  let done = unlocated === 0 && !quit && !options.dryRun;
+
+  const byFile = {};
+  replacements.forEach((r) => {
+    (byFile[r.fname] = byFile[r.fname] || []).push(r);
+  });
+  Object.keys(byFile).forEach((fname) => {
+    const contents = loadFile(fname);
+    const { contents: fixed, skipped } = applyReplacements(contents, byFile[fname]);
+    skipped.forEach(r => console.error(`WARNING: ${r.fname}:${r.line}:${r.column}: ${r.word} not found, the file changed`));
+    updateFile(fname, contents, fixed, options);
+    done = done && skipped.length === 0;
+  });
+  Object.keys(words).forEach((lang) => {
+    const backend = getBackend(options, lang);
+    const fname = options.personalDict[lang] || `${backend}-${lang}.pws`;
+    const contents = fs.existsSync(fname) ? loadFile(fname) : '';
+    updateFile(fname, contents, addPersonalWords(contents, lang, words[lang], backend === 'aspell'), options);
+    if (!options.personalDict[lang]) {
+      console.error(`Added to ${fname}, use it with --personal-dict ${lang}=${fname}`);
     }
-    return [ { node, spellCheckResults } ];
   });
+  return done;
 }
 
-function spellCheckTag(node, options, parentNodeLang) {
-  const { name, children } = node;
-  if (options.ignoreElement.indexOf(name) !== -1) {
-    if (options.verbose > 1) {
-      console.error('DEBUG: ignored element:', node);
-    }
-    return [];
-  }
-
-  const lang = options.elementLang[name] || parentNodeLang;
-  if (children) {
-    return spellCheckChildren(node, options, lang);
-  }
-  console.error('UNHANDLED: spell check without children:', node);
-  return [];
+function saveReport(documents, options) {
+  const reportFile = options.reportFile || path.join(options.outputDir, `${defaultReportName}${reportExtensions[options.report]}`);
+  saveFile(reportFile, genSpellcheckReport(options.report, documents));
+  console.log(`Report: ${reportFile}`);
 }
 
-async function spellCheckNode(node, options, parentNodeLang) {
-  switch (node.type) {
-    case 'text':
-      return spellCheckText(node, options, parentNodeLang);
-    case 'tag': {
-      return spellCheckTag(node, options, parentNodeLang);
-    }
-    default:
-      console.error(`UNHANDLED: unexpected node type: ${node.type}, name: ${node.name}`);
-      return [];
+function parsePersonalDict(array, lang) {
+  // allow single list to omit the language
+  if (array && array.length === 1 && array[0].indexOf('=') == -1) {
+    return { [cleanupLang(lang)]: array[0] };
   }
+  return arrayToMap(array);
 }
 
-function getAspellOptionsForLang(options, lang) {
-  const pws = options.personalDict[lang];
-  if (!pws) {
-    return options.aspellOption;
-  }
-  return options.aspellOption.concat([ `--personal=${path.resolve(pws)}` ]);
+// Values without a language apply to all of them ('*').
+function parseLangMap(array) {
+  return arrayToMap((array || []).map(value => (value.indexOf('=') === -1 ? `*=${value}` : value)));
 }
 
-async function spellCheckHtml(fname, baseOptions) {
-  const contents = loadFile(fname);
-  const doc = cheerio.load(contents);
-  const root = doc(baseOptions.rootElement)[0];
-  const options = {
-    ...baseOptions,
-    doc,
-    root,
-  };
-  if (!root || root.length === 0) {
-    throw new Error(`Could not find root element using JQuery selector: ${options.rootElement}`);
-  }
-
-  return spellCheckChildren(root, options, options.lang)
-    .then((misspellings) => {
-      if (misspellings.length === 0) {
-        return null;
-      }
-
-      for (let i = 0; i < misspellings.length; i += 1) {
-        const { node, spellCheckResults } = misspellings[i];
-        doc(node).replaceWith(spellCheckResults.map((r) => {
-          if (r.success) {
-            return r.word;
-          }
-          const { lang } = r.info;
-          if (options.verbose > 0) {
-            console.error(`${fname} misspelled ${lang}: ${r.word}`);
-          }
-          return doc(`<abbr class="misspelling lang-${lang}" />`)
-            .text(r.word)
-            .attr('title', r.alternatives.join(', ') + '?');
-        }));
-      }
+// Words of a word list or personal dictionary, without the aspell header.
+function loadWords(fname) {
+  return loadFile(fname).split(/\r?\n/)
+    .map(line => line.trim())
+    .filter(line => line && !/^personal_ws-/.test(line));
+}
 
-      const outFile = path.join(options.outputDir, fname.replace(/[.]html$/, spellCheckedSuffix));
-      doc('head').append(doc('<style type="text/css" />').text('abbr.misspelling { text-decoration: underline red; background-color: rgba(255, 40, 100, 0.25); }'));
-      saveFile(outFile, doc.html());
-      return outFile;
-    });
+// The wordlist backend has no personal dictionaries of its own, their
+// words are added to the language ones.
+function loadWordlists(files, options) {
+  const wordlists = {};
+  Object.keys(files).forEach((lang) => {
+    wordlists[lang] = loadWords(files[lang]);
+  });
+  Object.keys(options.personalDict).forEach((lang) => {
+    if (getBackend(options, lang) === 'wordlist' && fs.existsSync(options.personalDict[lang])) {
+      wordlists[lang] = [ ...(wordlists[lang] || wordlists['*'] || []), ...loadWords(options.personalDict[lang]) ];
+    }
+  });
+  return wordlists;
 }
 
-function parsePersonalDict(array, lang) {
-  // allow single list to omit the language
-  if (array && array.length === 1 && array[0].indexOf('=') == -1) {
-    return { [cleanupLang(lang)]: array[0] };
+function loadGlossaryWords(fname) {
+  if (!fname) {
+    return {};
+  }
+  try {
+    return { '*': getGlossaryWords(parseGlossary(fname, loadFile(fname))) };
+  } catch (exc) {
+    console.error(`ERROR: ${exc.message}`);
+    process.exit(1);
   }
-  return arrayToMap(array);
 }
 
 function listDirectoryHtmls(dirname) {
@@ -392,64 +309,34 @@ const options = {
   lang: cleanupLang(argv.lang),
   elementLang: arrayToMap(argv.elementLang || envOptionAsArray(process.env.ELEMENT_LANG)),
   ignoreElement: argv.ignoreElement || envOptionAsArray(process.env.IGNORE_ELEMENT),
+  ignorePattern: argv.ignorePattern || envOptionAsArray(process.env.IGNORE_PATTERN),
   personalDict: parsePersonalDict(argv.personalDict || envOptionAsArray(process.env.PERSONAL_DICT), argv.lang),
+  knownWords: loadGlossaryWords(argv.glossary),
   aspellOption: argv.aspellOption || envOptionAsArray(process.env.ASPELL_OPTIONS),
+  backend: parseLangMap(argv.backend || envOptionAsArray(process.env.SPELLCHECK_BACKEND)),
   outputDir: argv.outputDir || defaultOutputDir,
+  report: argv.report,
+  reportFile: argv.reportFile,
+  fix: argv.fix,
+  dryRun: argv.dryRun,
   failFast: argv.failFast,
   verbose: argv.verbose,
-  checkers: {},
 };
-
-options.checkers[options.lang] = new Aspell(options.lang, getAspellOptionsForLang(options, options.lang));
-for (const el in options.elementLang) {
-  if (options.elementLang.hasOwnProperty(el)) {
-    const lang = options.elementLang[el];
-    if (!options.checkers[lang]) {
-      options.checkers[lang] = new Aspell(lang, getAspellOptionsForLang(options, lang));
-    }
-  }
-}
-
-for (const name in options.checkers) {
-  if (options.checkers.hasOwnProperty(name)) {
-    options.checkers[name]
-      .on('result', function (result) {
-        const { word, info, alternatives } = result;
-        switch (result.type) {
-          case 'ok':
-            result.info.resolve({ success: true, word, info });
-            break;
-          case 'misspelling':
-          case 'run-together': {
-            result.info.resolve({ success: false, word, info, alternatives });
-            break;
-          }
-          case 'line-break':
-          case 'comment':
-            if (options.verbose > 2) {
-              console.error('ignored aspell result:', result);
-            }
-            break;
-          default:
-            console.error(`unexpected result type ${result.type}`, result);
-        }
-      })
-      .on('error', function (error) {
-        console.error('Failed to run aspell:', error.category);
-        console.error(error.message);
-        if (error.category !== 'stdin') {
-          // wait 'spawn' or 'stderr' before exit.
-          process.exit(1);
-        }
-      });
-  }
+try {
+  getIgnorePatterns(options.ignorePattern);
+  options.wordlists = loadWordlists(parseLangMap(argv.wordlist || envOptionAsArray(process.env.WORDLIST)), options);
+  options.checkers = createCheckers(options);
+} catch (exc) {
+  console.error(`ERROR: ${exc.message}`);
+  process.exit(1);
 }
 
-
 async function main(htmls, options) {
   let exitStatus = 0;
+  const documents = [];
   for (let i = 0; i < htmls.length; i += 1) {
-    const outFile = await spellCheckHtml(htmls[i], options);
+    const { outFile, misspellings, suppressions } = await spellCheckFile(htmls[i], options);
+    documents.push({ fname: htmls[i], misspellings, suppressions });
     console.log(`${htmls[i]} => ${outFile ? 'Failed: ' + outFile : 'Ok!'}`);
     if (outFile) {
       exitStatus = 1;
@@ -458,12 +345,22 @@ async function main(htmls, options) {
       }
     }
   }
+  if (options.report) {
+    saveReport(documents, options);
+  }
+  if (options.fix && exitStatus !== 0) {
+    const done = await fixDocuments(documents, options);
+    // documents left unchecked by --fail-fast may still fail
+    if (done && documents.length === htmls.length) {
+      exitStatus = 0;
+    }
+  }
   return exitStatus;
 }
 
 main(htmls, options)
   .then(process.exit)
   .catch(exc => {
-    console.error('ERROR:', exc);
+    console.error('ERROR:', exc.category ? exc.message : exc);
     process.exit(1);
   });
@@ -0,0 +1,22 @@
+#!/bin/bash
+# Checks links between the chapters of a --book build resolve to the
+# renamed heading ids, including the deduplicated ones (chapter.md#slug-1).
+# Run from the repository root.
+
+set -e
+
+dir=$(mktemp -d)
+trap 'rm -rf "$dir"' EXIT
+
+printf '# One\n\n## Setup\n\n## Setup\n' > "$dir/c1.md"
+printf '# Two\n\n## Setup\n\n[first](c1.md#setup) [second](c1.md#setup-1)\n' > "$dir/c2.md"
+
+timeout 120 node md2html.js --book --output-dir "$dir/out" --force -- "$dir/c1.md" "$dir/c2.md" > "$dir/log" 2>&1
+links=$(grep -o '<a href="#[^"]*">[a-z]*</a>' "$dir/out/book.html" | tr '\n' ' ')
+expected='<a href="#setup">first</a> <a href="#setup-1">second</a> '
+if [ "$links" != "$expected" ] || grep -q ERROR "$dir/log"; then
+    echo "book links: got '$links'"
+    cat "$dir/log"
+    exit 1
+fi
+echo "book links: Ok!"
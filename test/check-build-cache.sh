@@ -0,0 +1,46 @@
+#!/bin/bash
+# Checks md2html.js rebuilds the documents when what they are built from
+# changes, and only then. Run from the repository root.
+
+set -e
+
+tmpdir=$(mktemp -d)
+trap 'rm -rf "$tmpdir"' EXIT
+md2html=$(pwd)/md2html.js
+
+# Builds doc.md in $tmpdir with the given options, the summary line must
+# start with the expected one.
+expect_build() {
+    local expected=$1
+    shift
+    local summary
+    summary=$(cd "$tmpdir" && node "$md2html" doc.md --output-dir out "$@" | tail -1)
+    if [ "${summary#$expected}" = "$summary" ]; then
+        echo "$CASE: expected \"$expected\", got \"$summary\""
+        exit 1
+    fi
+}
+
+printf '# Cache\n\nSome text.\n' > "$tmpdir/doc.md"
+echo "module.exports = { postprocess: \$ => \$('p').addClass('first') };" > "$tmpdir/plugin.js"
+
+CASE='plugin edited'
+expect_build '1 rebuilt' --plugin ./plugin.js
+expect_build '0 rebuilt' --plugin ./plugin.js
+echo "module.exports = { postprocess: \$ => \$('p').addClass('second') };" > "$tmpdir/plugin.js"
+expect_build '1 rebuilt' --plugin ./plugin.js
+grep -q 'class="second"' "$tmpdir/out/doc.html" || { echo "$CASE: stale output"; exit 1; }
+
+CASE='build options'
+expect_build '0 rebuilt' --plugin ./plugin.js --jobs 2 --fail-fast
+expect_build '1 rebuilt' --plugin ./plugin.js --number-sections
+
+CASE='asset edited'
+printf '<svg xmlns="http://www.w3.org/2000/svg"><circle r="1"/></svg>\n' > "$tmpdir/image.svg"
+printf '\n![Image](image.svg)\n' >> "$tmpdir/doc.md"
+expect_build '1 rebuilt' --embed-assets
+expect_build '0 rebuilt' --embed-assets
+printf '<svg xmlns="http://www.w3.org/2000/svg"><circle r="2"/></svg>\n' > "$tmpdir/image.svg"
+expect_build '1 rebuilt' --embed-assets
+
+echo "md2html.js build cache: Ok!"
@@ -0,0 +1,18 @@
+#!/bin/bash
+# Builds each test/cases/NAME.md, options given by its front matter, and
+# compares its contents with test/cases/NAME.expected.html. Run from the
+# repository root.
+
+set -e
+
+outdir=$(mktemp -d)
+trap 'rm -rf "$outdir"' EXIT
+
+for md in test/cases/*.md; do
+    node md2html.js "$md" \
+        --layout test/cases/layout.html \
+        --output-dir "$outdir" \
+        --force > /dev/null
+    diff -u "${md%.md}.expected.html" "$outdir/${md%.md}.html"
+    echo "$md: Ok!"
+done
@@ -0,0 +1,24 @@
+#!/bin/bash
+# Checks a diagram that fails to render fails the build and is not
+# highlighted as code. dot is replaced by a stub that always fails. Run
+# from the repository root.
+
+set -e
+
+dir=$(mktemp -d)
+trap 'rm -rf "$dir"' EXIT
+
+mkdir "$dir/bin"
+printf '#!/bin/bash\necho "syntax error in line 1" >&2\nexit 1\n' > "$dir/bin/dot"
+chmod +x "$dir/bin/dot"
+printf '# Doc\n\n```dot\ndigraph { a -> }\n```\n' > "$dir/doc.md"
+
+status=0
+PATH="$dir/bin:$PATH" timeout 120 node md2html.js --output-dir "$dir/out" --force --diagram-cache "$dir/cache" -- "$dir/doc.md" > "$dir/log" 2>&1 || status=$?
+if [ "$status" = 0 ] || ! grep -q 'failed to render dot diagram at .*doc.md:3: dot exited with 1' "$dir/log" \
+        || grep -q 'failed to highlight' "$dir/log"; then
+    echo "diagram errors: unexpected build (status $status)"
+    cat "$dir/log"
+    exit 1
+fi
+echo "diagram errors: Ok!"
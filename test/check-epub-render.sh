@@ -0,0 +1,19 @@
+#!/bin/bash
+# Checks a document built as HTML and EPUB is rendered once: its errors
+# are reported once. Run from the repository root.
+
+set -e
+
+dir=$(mktemp -d)
+trap 'rm -rf "$dir"' EXIT
+
+printf '# Doc\n\n```nosuchlang\nx\n```\n' > "$dir/doc.md"
+
+timeout 120 node md2html.js --format html --format epub --output-dir "$dir/out" --force -- "$dir/doc.md" > "$dir/log" 2>&1
+errors=$(grep -c '^ERROR: failed to highlight using nosuchlang' "$dir/log" || true)
+if [ "$errors" != 1 ] || [ ! -f "$dir/out/doc.epub" ]; then
+    echo "HTML and EPUB: $errors errors reported, expected 1"
+    cat "$dir/log"
+    exit 1
+fi
+echo "HTML and EPUB: Ok!"
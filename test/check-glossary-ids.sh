@@ -0,0 +1,23 @@
+#!/bin/bash
+# Checks the ids of the Glossary section are unique within the document:
+# terms with the same slug (C++ and C#) and a heading named "Glossary".
+# Run from the repository root.
+
+set -e
+
+dir=$(mktemp -d)
+trap 'rm -rf "$dir"' EXIT
+
+printf -- '- term: C++\n  expansion: C plus plus\n- term: C#\n  expansion: C sharp\n' > "$dir/glossary.yml"
+printf '# Glossary\n\nC++ and C# are languages.\n' > "$dir/doc.md"
+
+timeout 120 node md2html.js --glossary "$dir/glossary.yml" --glossary-section \
+    --output-dir "$dir/out" --force -- "$dir/doc.md" > "$dir/log" 2>&1
+ids=$(grep -o '<h1 id="glossary[^"]*"\|<dt id="[^"]*"' "$dir/out/doc.html" | sed 's/.*id=//' | tr '\n' ' ')
+expected='"glossary-1" "glossary-c-" "glossary-c--1" "glossary" '
+if [ "$ids" != "$expected" ]; then
+    echo "glossary ids: got $ids"
+    cat "$dir/log"
+    exit 1
+fi
+echo "glossary ids: Ok!"
@@ -0,0 +1,18 @@
+#!/bin/bash
+# Builds the plugin fixture (see gen-plugin-html.sh) and compares it with
+# test/plugins/fixture.expected.html. Run from the repository root.
+
+set -e
+
+outdir=$(mktemp -d)
+trap 'rm -rf "$outdir"' EXIT
+
+node md2html.js \
+    test/plugins/fixture.md \
+    --plugin ./test/plugins/house-style.js \
+    --front-page test/plugins/front-page.html \
+    --output-dir "$outdir" \
+    --force > /dev/null
+
+diff -u test/plugins/fixture.expected.html "$outdir/test/plugins/fixture.html"
+echo "test/plugins/fixture.md: Ok!"
@@ -0,0 +1,34 @@
+#!/bin/bash
+# Checks the spellCheckHtml() API ends the checkers it starts, so the
+# process exits once the promise resolves. aspell is replaced by a stub
+# that knows every word. Run from the repository root.
+
+set -e
+
+bindir=$(mktemp -d)
+trap 'rm -rf "$bindir"' EXIT
+
+cat > "$bindir/aspell" <<'STUB'
+#!/bin/bash
+if [ "$1" = dump ]; then
+    echo en_US
+    exit 0
+fi
+echo '@(#) International Ispell Version 3.1.20 (but really Aspell 0.60.8)'
+while read -r line; do
+    case "$line" in
+        [*#!]*) ;;
+        *) printf '*\n\n' ;;
+    esac
+done
+STUB
+chmod +x "$bindir/aspell"
+
+PATH="$bindir:$PATH" timeout 20 node -e "
+require('./index').spellCheckHtml('<div id=\"md-contents\"><p>Hello world</p></div>', { lang: 'en_US' })
+  .then(misspellings => console.log(misspellings.length));
+" > /dev/null || {
+    echo "spellCheckHtml(): the process did not exit (status $?)"
+    exit 1
+}
+echo "spellCheckHtml(): Ok!"
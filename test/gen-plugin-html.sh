@@ -0,0 +1,6 @@
+#!/bin/bash
+
+npm run gen-html -- \
+    test/plugins/fixture.md \
+    --plugin ./test/plugins/house-style.js \
+    --front-page test/plugins/front-page.html
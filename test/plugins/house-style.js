@@ -0,0 +1,48 @@
+// Example plugin, see lib/plugins.js and test/gen-plugin-html.sh
+const { escapeHtml } = require('../../lib/html');
+
+module.exports = {
+  name: 'house-style',
+
+  // TODO markers are not meant to reach the customer
+  preprocess: source => source.replace(/^TODO:.*$/gm, ''),
+
+  renderer: {
+    // > **Note:** quotes become callouts
+    blockquote(quote) {
+      const match = quote.match(/^<p><strong>(Note|Warning):<\/strong>\s*/);
+      if (!match) {
+        return false;
+      }
+      const kind = match[1].toLowerCase();
+      return `<aside class="callout callout-${kind}">\n${quote}</aside>\n`;
+    },
+    code(code, lang, escaped, attributes) {
+      if (lang !== 'shell-session') {
+        return false;
+      }
+      const title = attributes && attributes.attrs.title;
+      return [
+        `<pre class="terminal"${title ? ` title="${escapeHtml(title)}"` : ''}><code>`,
+        escapeHtml(code),
+        '</code></pre>',
+        '',
+      ].join('\n');
+    },
+  },
+
+  // Issue references: ISSUE-123
+  inline: [ {
+    pattern: /\bISSUE-(\d+)\b/g,
+    render: (match, id) => `<a class="issue" href="https://issues.example.com/${id}">${match}</a>`,
+  } ],
+
+  replacements: (replacements, { fname }) => ({
+    classification: replacements.classification || 'internal',
+    source: fname,
+  }),
+
+  postprocess: ($) => {
+    $('a[href^="http"]').attr('rel', 'noopener');
+  },
+};
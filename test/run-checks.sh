@@ -0,0 +1,9 @@
+#!/bin/bash
+# Runs every test/check-*.sh, stopping on the first failure. Run from the
+# repository root.
+
+set -e
+
+for check in test/check-*.sh; do
+    bash "$check"
+done